@@ -1,22 +1,205 @@
+export type TabbedInterfaceTrigger =
+	| 'click'
+	| 'keyboard'
+	| 'hash'
+	| 'api'
+	| 'default'
+	| 'find'
+	| 'validation';
+
 export interface TabbedInterfaceChangeDetail {
 	tabId: string;
 	tabpanelId: string;
 	tabIndex: number;
+	headingId: string | null;
+	label: string;
+	previousIndex: number;
+	previousTabId: string | null;
+	previousHeadingId: string | null;
+	previousLabel: string | null;
+	trigger: TabbedInterfaceTrigger;
 }
 
 export type TabbedInterfaceChangeEvent = CustomEvent<TabbedInterfaceChangeDetail>;
 
+export interface TabbedInterfaceLeaveDetail {
+	tabId: string;
+	headingId: string | null;
+	label: string;
+	tabIndex: number;
+	duration: number;
+	trigger: TabbedInterfaceTrigger | 'hidden' | null;
+}
+
+export type TabbedInterfaceLeaveEvent = CustomEvent<TabbedInterfaceLeaveDetail>;
+
+export interface TabbedInterfaceReadyDetail {
+	tabIndex: number;
+	tabCount: number;
+}
+
+export type TabbedInterfaceReadyEvent = CustomEvent<TabbedInterfaceReadyDetail>;
+
+export interface TabbedInterfaceBeforeChangeDetail {
+	currentIndex: number;
+	requestedIndex: number;
+}
+
+export type TabbedInterfaceBeforeChangeEvent =
+	CustomEvent<TabbedInterfaceBeforeChangeDetail>;
+
+export interface TabbedInterfaceLoadDetail {
+	tabIndex: number;
+	tabpanelId: string;
+	src: string | null;
+	template: string | null;
+}
+
+export interface TabbedInterfaceLoadErrorDetail extends TabbedInterfaceLoadDetail {
+	error: unknown;
+}
+
+export type TabbedInterfaceLoadEvent = CustomEvent<TabbedInterfaceLoadDetail>;
+
+export type TabbedInterfaceLoadErrorEvent =
+	CustomEvent<TabbedInterfaceLoadErrorDetail>;
+
+export interface TabbedInterfaceAddTabOptions {
+	heading: string | HTMLElement;
+	content?: string | Node | Node[];
+	index?: number;
+}
+
+export interface TabbedInterfaceAddDetail {
+	tabId: string;
+	tabpanelId: string;
+	tabIndex: number;
+}
+
+export interface TabbedInterfaceRemoveDetail {
+	tabId: string;
+	headingId: string | null;
+	tabIndex: number;
+}
+
+export interface TabbedInterfaceMoveDetail {
+	tabId: string;
+	from: number;
+	to: number;
+}
+
+export interface TabbedInterfaceRenameDetail {
+	tabId: string;
+	tabIndex: number;
+	label: string;
+}
+
+export interface TabbedInterfaceCloseDetail {
+	tabId: string;
+	headingId: string | null;
+	tabIndex: number;
+}
+
+export type TabbedInterfaceCloseEvent = CustomEvent<TabbedInterfaceCloseDetail>;
+
+export interface TabbedInterfaceReorderDetail {
+	order: Array<string | null>;
+	from: number;
+	to: number;
+}
+
+export type TabbedInterfaceReorderEvent =
+	CustomEvent<TabbedInterfaceReorderDetail>;
+
+export interface TabbedInterfaceTransitionEndDetail {
+	tabIndex: number;
+	previousIndex: number;
+	transition: 'fade' | 'slide' | 'view';
+}
+
+export type TabbedInterfaceTransitionEndEvent =
+	CustomEvent<TabbedInterfaceTransitionEndDetail>;
+
+export type TabbedInterfaceAddEvent = CustomEvent<TabbedInterfaceAddDetail>;
+
+export type TabbedInterfaceRemoveEvent = CustomEvent<TabbedInterfaceRemoveDetail>;
+
+export type TabbedInterfaceMoveEvent = CustomEvent<TabbedInterfaceMoveDetail>;
+
+export type TabbedInterfaceRenameEvent = CustomEvent<TabbedInterfaceRenameDetail>;
+
+export interface TabbedInterfaceStorageAdapter {
+	getItem(key: string): string | null;
+	setItem(key: string, value: string): void;
+}
+
+export interface TabbedInterfaceStrings {
+	loading: string;
+	loadError: string;
+	close: string;
+	more: string;
+	moved(label: string, position: number, count: number): string;
+	invalidFields(count: number): string;
+}
+
+export interface TabbedInterfaceRenderOptions {
+	attributes?: Record<string, string | boolean | null | undefined>;
+	tagName?: string;
+}
+
+export interface TabbedInterfaceTabValidity {
+	tabIndex: number;
+	tabId: string;
+	headingId: string | null;
+	valid: boolean;
+	invalidControls: Element[];
+}
+
 export declare class TabbedInterfaceElement extends HTMLElement {
+	static renderToString(
+		content: string,
+		options?: TabbedInterfaceRenderOptions,
+	): string;
+
 	activeIndex: number;
 	showHeaders: boolean;
 	tablistAfter: boolean;
 	defaultTab: string | null;
 	autoActivate: boolean;
+	liveContent: boolean;
+	closable: boolean;
+	reorderable: boolean;
+	syncUrl: 'hash' | 'query' | null;
+	persist: string | null;
+	storageAdapter: TabbedInterfaceStorageAdapter | null;
+	get strings(): Readonly<TabbedInterfaceStrings>;
+	set strings(value: Partial<TabbedInterfaceStrings> | null);
+	orientation: 'horizontal' | 'vertical';
+	variant: 'classic' | 'underline' | 'pills' | 'segmented';
+	overflow: 'scroll' | 'menu' | null;
+	transition: 'fade' | 'slide' | 'view' | null;
+	collapseBelow: string | null;
+	expanded: boolean;
+	readonly collapsed: boolean;
+	readonly ready: Promise<void>;
 
+	initialize(): void;
 	next(): void;
 	previous(): void;
 	first(): void;
 	last(): void;
+	expandAll(): void;
+	collapse(): void;
+	search(query: string, options?: { highlight?: boolean }): number[];
+	getValidity(): TabbedInterfaceTabValidity[];
+	focus(options?: FocusOptions): void;
+	disableTab(index: number): void;
+	enableTab(index: number): void;
+	addTab(options: TabbedInterfaceAddTabOptions): number;
+	removeTab(indexOrId: number | string): boolean;
+	moveTab(from: number, to: number): boolean;
+	renameTab(index: number, label: string): boolean;
+	setBadge(index: number, value: string | number | null, label?: string): void;
 }
 
 export declare function defineTabbedInterface(tagName?: string): boolean;
@@ -1,3 +1,537 @@
+const PANEL_SLOT_PATTERN = /^(heading|panel)-\d+(-\d+)?$/;
+
+const SEARCH_HIGHLIGHT = 'tabbed-interface-search';
+
+const STYLES = `
+:host {
+	display: block;
+	font-family: var(--tabbed-interface-font-family, inherit);
+}
+
+[role="tablist"] {
+	display: var(--tabbed-interface-tablist-display, flex);
+	gap: var(--tabbed-interface-tablist-gap, 0);
+	padding: var(--tabbed-interface-tablist-padding, 0);
+	margin: var(--tabbed-interface-tablist-margin, 0);
+	background: var(--tabbed-interface-tablist-background, transparent);
+	border: var(--tabbed-interface-tablist-border, none);
+	list-style: none;
+	scroll-margin-block-start: 2rem;
+}
+
+[role="tab"],
+button[aria-expanded] {
+	padding: var(--tabbed-interface-tab-padding, 0.5em 1em);
+	background-color: var(--tabbed-interface-tab-background, ButtonFace);
+	color: var(--tabbed-interface-tab-color, ButtonText);
+	border: var(--tabbed-interface-tab-border, 1px solid ButtonBorder);
+	border-radius: 0;
+	cursor: pointer;
+	font: inherit;
+	text-align: center;
+}
+
+[role="tab"]:hover,
+[role="tab"]:focus,
+button[aria-expanded]:hover {
+	background: var(--tabbed-interface-tab-hover-background, ButtonFace);
+	color: var(--tabbed-interface-tab-hover-color, inherit);
+}
+
+[role="tab"][aria-disabled="true"],
+button[aria-expanded="false"][aria-disabled="true"] {
+	color: GrayText;
+	cursor: not-allowed;
+}
+
+[role="tab"]:focus-visible,
+button[aria-expanded]:focus-visible {
+	outline: var(--tabbed-interface-tab-focus-outline, 2px solid AccentColor);
+	outline-offset: 1px;
+}
+
+[role="tab"][aria-selected="true"],
+button[aria-expanded="true"] {
+	background: var(--tabbed-interface-tab-active-background, Canvas);
+	color: var(--tabbed-interface-tab-active-color, CanvasText);
+}
+
+:host([orientation="vertical"]) #container:not(.accordion) {
+	display: grid;
+	grid-template-columns: auto 1fr;
+}
+
+:host([orientation="vertical"][tablist-after]) #container:not(.accordion) {
+	grid-template-columns: 1fr auto;
+}
+
+/* Searchable hidden panels are still grid items, so place every item
+   instead of letting them take cells of their own */
+:host([orientation="vertical"]) #container:not(.accordion) > [role="tablist"] {
+	grid-column: 1;
+	grid-row: 1;
+}
+
+:host([orientation="vertical"]) #container:not(.accordion) > [role="tabpanel"] {
+	grid-column: 2;
+	grid-row: 1;
+}
+
+:host([orientation="vertical"][tablist-after])
+	#container:not(.accordion)
+	> [role="tablist"] {
+	grid-column: 2;
+}
+
+:host([orientation="vertical"][tablist-after])
+	#container:not(.accordion)
+	> [role="tabpanel"] {
+	grid-column: 1;
+}
+
+:host([orientation="vertical"]) [role="tablist"] {
+	flex-direction: column;
+}
+
+:host([orientation="vertical"]) [role="tab"] {
+	text-align: start;
+}
+
+[role="tabpanel"],
+[role="region"] {
+	padding: var(--tabbed-interface-tabpanel-padding, 1em);
+	background: var(--tabbed-interface-tabpanel-background, transparent);
+	border: var(--tabbed-interface-tabpanel-border, 1px solid ButtonBorder);
+}
+
+[role="tabpanel"][hidden]:not([hidden="until-found"]),
+[role="region"][hidden]:not([hidden="until-found"]) {
+	display: none;
+}
+
+/* Searchable hidden panels still render an empty box */
+@media not print {
+	[role="tabpanel"][hidden="until-found"],
+	[role="region"][hidden="until-found"] {
+		padding: 0;
+		border: 0;
+	}
+}
+
+/* Only reaches panel content in the shadow root; light DOM content
+   needs the same rule in a page stylesheet */
+::highlight(tabbed-interface-search) {
+	background-color: Mark;
+	color: MarkText;
+}
+
+.accordion-heading {
+	margin: 0;
+}
+
+.accordion-heading + .accordion-heading,
+[role="region"] + .accordion-heading {
+	margin-block-start: -1px;
+}
+
+button[aria-expanded] {
+	display: block;
+	width: 100%;
+	text-align: start;
+}
+
+button[aria-expanded="true"] {
+	border-block-end-color: var(--tabbed-interface-tab-active-background, Canvas);
+}
+
+/* Classic: the active tab joins the panel's border */
+[data-variant="classic"] [role="tablist"] {
+	margin-block-end: -1px;
+}
+
+:host([tablist-after]) [data-variant="classic"] [role="tablist"] {
+	margin-block-start: -1px;
+	margin-block-end: 0;
+}
+
+:host([orientation="vertical"]) [data-variant="classic"] [role="tablist"] {
+	margin-block: 0;
+	margin-inline-end: -1px;
+}
+
+:host([orientation="vertical"][tablist-after])
+	[data-variant="classic"]
+	[role="tablist"] {
+	margin-inline-end: 0;
+	margin-inline-start: -1px;
+}
+
+[data-variant="classic"] [role="tab"] {
+	border-start-start-radius: var(--tabbed-interface-tab-border-radius, 3px);
+	border-start-end-radius: var(--tabbed-interface-tab-border-radius, 3px);
+}
+
+[data-variant="classic"] [role="tab"][aria-selected="true"] {
+	border-block-end-color: var(--tabbed-interface-tab-active-background, Canvas);
+}
+
+:host([tablist-after]) [data-variant="classic"] [role="tab"] {
+	border-radius: 0;
+	border-end-start-radius: var(--tabbed-interface-tab-border-radius, 3px);
+	border-end-end-radius: var(--tabbed-interface-tab-border-radius, 3px);
+}
+
+:host([tablist-after]) [data-variant="classic"] [role="tab"][aria-selected="true"] {
+	border: var(--tabbed-interface-tab-border, 1px solid ButtonBorder);
+	border-block-start-color: var(--tabbed-interface-tab-active-background, Canvas);
+}
+
+:host([orientation="vertical"]) [data-variant="classic"] [role="tab"] {
+	border-radius: 0;
+	border-start-start-radius: var(--tabbed-interface-tab-border-radius, 3px);
+	border-end-start-radius: var(--tabbed-interface-tab-border-radius, 3px);
+}
+
+:host([orientation="vertical"])
+	[data-variant="classic"]
+	[role="tab"][aria-selected="true"] {
+	border: var(--tabbed-interface-tab-border, 1px solid ButtonBorder);
+	border-inline-end-color: var(--tabbed-interface-tab-active-background, Canvas);
+}
+
+:host([orientation="vertical"][tablist-after]) [data-variant="classic"] [role="tab"] {
+	border-radius: 0;
+	border-start-end-radius: var(--tabbed-interface-tab-border-radius, 3px);
+	border-end-end-radius: var(--tabbed-interface-tab-border-radius, 3px);
+}
+
+:host([orientation="vertical"][tablist-after])
+	[data-variant="classic"]
+	[role="tab"][aria-selected="true"] {
+	border: var(--tabbed-interface-tab-border, 1px solid ButtonBorder);
+	border-inline-start-color: var(--tabbed-interface-tab-active-background, Canvas);
+}
+
+/* The other variants don't join tabs to the panel, so it has no border */
+#container:not([data-variant="classic"]) [role="tabpanel"] {
+	border: var(--tabbed-interface-tabpanel-border, 0);
+}
+
+/* Underline: a line on the panel side marks the active tab */
+[data-variant="underline"] [role="tab"] {
+	--indicator-color: transparent;
+	background-color: var(--tabbed-interface-tab-background, transparent);
+	color: var(--tabbed-interface-tab-color, inherit);
+	border: 0;
+	border-block-end: 2px solid var(--indicator-color);
+}
+
+:host([tablist-after]) [data-variant="underline"] [role="tab"] {
+	border: 0;
+	border-block-start: 2px solid var(--indicator-color);
+}
+
+:host([orientation="vertical"]) [data-variant="underline"] [role="tab"] {
+	border: 0;
+	border-inline-end: 2px solid var(--indicator-color);
+}
+
+:host([orientation="vertical"][tablist-after]) [data-variant="underline"] [role="tab"] {
+	border: 0;
+	border-inline-start: 2px solid var(--indicator-color);
+}
+
+[data-variant="underline"] [role="tab"]:hover {
+	background: var(--tabbed-interface-tab-hover-background, transparent);
+}
+
+[data-variant="underline"] [role="tab"][aria-selected="true"] {
+	--indicator-color: var(--tabbed-interface-tab-indicator-color, AccentColor);
+	background: var(--tabbed-interface-tab-active-background, transparent);
+}
+
+/* Pills: separate rounded tabs; the active one is filled */
+[data-variant="pills"] [role="tablist"] {
+	gap: var(--tabbed-interface-tablist-gap, 0.25em);
+}
+
+[data-variant="pills"] [role="tab"] {
+	background-color: var(--tabbed-interface-tab-background, transparent);
+	color: var(--tabbed-interface-tab-color, inherit);
+	border: var(--tabbed-interface-tab-border, 0);
+	border-radius: var(--tabbed-interface-tab-border-radius, 999px);
+}
+
+[data-variant="pills"] [role="tab"]:hover {
+	background: var(--tabbed-interface-tab-hover-background, ButtonFace);
+}
+
+[data-variant="pills"] [role="tab"][aria-selected="true"] {
+	background: var(--tabbed-interface-tab-active-background, AccentColor);
+	color: var(--tabbed-interface-tab-active-color, AccentColorText);
+}
+
+/* Segmented: the tabs form one joined control */
+[data-variant="segmented"] [role="tablist"] {
+	display: var(--tabbed-interface-tablist-display, inline-flex);
+	padding: var(--tabbed-interface-tablist-padding, 2px);
+	background: var(--tabbed-interface-tablist-background, ButtonFace);
+	border: var(--tabbed-interface-tablist-border, 1px solid ButtonBorder);
+	border-radius: calc(var(--tabbed-interface-tab-border-radius, 4px) + 2px);
+}
+
+[data-variant="segmented"] [role="tab"] {
+	flex: 1 1 0;
+	background-color: var(--tabbed-interface-tab-background, transparent);
+	border: var(--tabbed-interface-tab-border, 0);
+	border-radius: var(--tabbed-interface-tab-border-radius, 4px);
+}
+
+[data-variant="segmented"] [role="tab"]:hover {
+	background: var(--tabbed-interface-tab-hover-background, transparent);
+}
+
+[data-variant="segmented"] [role="tab"][aria-selected="true"] {
+	background: var(--tabbed-interface-tab-active-background, Canvas);
+	box-shadow: 0 1px 2px rgb(0 0 0 / 0.2);
+}
+
+[role="tab"][draggable="true"] {
+	cursor: grab;
+}
+
+.tab-strip {
+	display: flex;
+	align-items: flex-end;
+	min-width: 0;
+}
+
+.tab-strip > [role="tablist"] {
+	flex: 1 1 auto;
+	min-width: 0;
+	overflow: hidden;
+}
+
+.tab-strip[data-mode="scroll"] > [role="tablist"] {
+	overflow-x: auto;
+	scrollbar-width: none;
+}
+
+.tab-strip[data-mode="scroll"] > [role="tablist"]::-webkit-scrollbar {
+	display: none;
+}
+
+.tab-strip [role="tab"] {
+	flex: none;
+}
+
+.tab-strip [role="tab"][hidden] {
+	display: none;
+}
+
+.overflow-button {
+	padding: 0.5em;
+	background-color: ButtonFace;
+	color: ButtonText;
+	border: 1px solid ButtonBorder;
+	cursor: pointer;
+	font: inherit;
+}
+
+.overflow-button[hidden] {
+	display: none;
+}
+
+.overflow-button:disabled {
+	color: GrayText;
+	cursor: default;
+}
+
+.overflow-menu {
+	position: relative;
+}
+
+[role="menu"] {
+	position: absolute;
+	inset-block-start: 100%;
+	inset-inline-end: 0;
+	z-index: 1;
+	display: flex;
+	flex-direction: column;
+	min-width: 10em;
+	padding: 0.25em 0;
+	background: Canvas;
+	border: 1px solid ButtonBorder;
+}
+
+[role="menu"][hidden] {
+	display: none;
+}
+
+[role="menuitem"] {
+	padding: 0.5em 1em;
+	background: none;
+	color: CanvasText;
+	border: 0;
+	cursor: pointer;
+	font: inherit;
+	text-align: start;
+}
+
+[role="menuitem"]:hover,
+[role="menuitem"]:focus-visible {
+	background: Highlight;
+	color: HighlightText;
+}
+
+[role="menuitem"][aria-disabled="true"] {
+	color: GrayText;
+}
+
+.tab-icon {
+	display: inline-flex;
+	margin-inline-end: 0.4em;
+	vertical-align: middle;
+}
+
+.tab-badge {
+	display: inline-block;
+	min-width: 1.5em;
+	margin-inline-start: 0.4em;
+	padding: 0 0.4em;
+	border-radius: 1em;
+	background: AccentColor;
+	color: AccentColorText;
+	font-size: 0.8em;
+	line-height: 1.5;
+	text-align: center;
+}
+
+.tab-description {
+	display: block;
+	font-size: 0.8em;
+	opacity: 0.8;
+}
+
+.tab-close {
+	display: inline-block;
+	margin-inline-start: 0.5em;
+	padding: 0 0.25em;
+	border-radius: 2px;
+	line-height: 1;
+	cursor: pointer;
+}
+
+.tab-close:hover {
+	background: ButtonBorder;
+	color: ButtonFace;
+}
+
+.tab-error {
+	display: inline-block;
+	min-width: 1.25em;
+	margin-inline-start: 0.4em;
+	border-radius: 1em;
+	background: var(--tabbed-interface-tab-error-background, Mark);
+	color: var(--tabbed-interface-tab-error-color, MarkText);
+	font-size: 0.8em;
+	font-weight: bold;
+	line-height: 1.25;
+	text-align: center;
+}
+
+/* The count is spoken through the hidden text instead */
+.tab-error::before {
+	content: "!" / "";
+}
+
+.visually-hidden {
+	position: absolute;
+	width: 1px;
+	height: 1px;
+	padding: 0;
+	margin: -1px;
+	overflow: hidden;
+	clip: rect(0, 0, 0, 0);
+	white-space: nowrap;
+	border: 0;
+}
+
+#container {
+	display: contents;
+}
+
+:host([expanded]) [role="tablist"],
+:host([expanded]) .tab-strip,
+:host([expanded]) .accordion-heading {
+	display: none;
+}
+
+:host([expanded]) [role="region"] ~ [role="region"] {
+	margin-block-start: 1em;
+}
+
+/* The linear view has no side tab list to lay out */
+:host([orientation="vertical"][expanded]) #container:not(.accordion) {
+	display: block;
+}
+
+/* Print every section in a linear view, like expanded */
+@media print {
+	[role="tablist"],
+	.tab-strip,
+	.accordion-heading {
+		display: none;
+	}
+
+	[role="tabpanel"][hidden],
+	[role="region"][hidden] {
+		display: block;
+		content-visibility: visible;
+	}
+
+	[role="tabpanel"] ~ [role="tabpanel"],
+	[role="region"] ~ [role="region"] {
+		margin-block-start: 1em;
+	}
+
+	:host([orientation="vertical"]) #container:not(.accordion) {
+		display: block;
+	}
+
+	[role="tabpanel"] > .visually-hidden:first-child,
+	[role="region"] > .visually-hidden:first-child {
+		position: static;
+		width: auto;
+		height: auto;
+		margin: 0 0 0.5em;
+		overflow: visible;
+		clip: auto;
+		white-space: normal;
+	}
+}
+`;
+
+const FOCUSABLE_SELECTOR =
+	'a, button, input, textarea, select, details, [tabindex]:not([tabindex="-1"])';
+
+const FORM_CONTROL_SELECTOR =
+	'button, fieldset, input, object, output, select, textarea';
+
+// Text the component adds itself; authors override it through `strings`
+const DEFAULT_STRINGS = Object.freeze({
+	loading: 'Loading…',
+	loadError: 'This content could not be loaded.',
+	close: 'Close',
+	more: 'More',
+	moved: (label, position, count) =>
+		`${label} moved to position ${position} of ${count}`,
+	invalidFields: (count) =>
+		count === 1
+			? '1 field needs attention'
+			: `${count} fields need attention`,
+});
+
 /**
  * TabbedInterfaceElement - A web component that transforms heading-structured content into an accessible tabbed interface
  *
@@ -7,6 +541,20 @@
  * @attr {boolean} tablist-after - When present, positions the tab list after the content; when absent, before the content (default: absent/false)
  * @attr {string} default-tab - Index or heading ID of the tab to show by default (defaults to first tab)
  * @attr {boolean} auto-activate - When present, tabs activate on focus; when absent, use Enter/Space to activate (default: absent/false)
+ * @attr {boolean} live-content - When present, panel content stays in the light DOM and is projected through named slots instead of being cloned (default: absent/false)
+ * @attr {boolean} closable - When present, every tab can be closed with a close control or the Delete key; headings can opt in or out with data-tab-closable (default: absent/false)
+ * @attr {boolean} reorderable - When present, users can reorder tabs by dragging them or with Ctrl+Shift+Arrow keys (default: absent/false)
+ * @attr {boolean} expanded - When present, every section is shown in a linear view with its heading instead of as tabs (default: absent/false)
+ * @attr {string} overflow - How a horizontal tab list handles tabs that don't fit: "scroll" (scroll buttons) or "menu" (a "More" menu)
+ * @attr {string} transition - Animates panel changes: "fade", "slide" or "view" (View Transitions API); skipped when reduced motion is preferred
+ * @attr {string} variant - Built-in look: "classic", "underline", "pills" or "segmented" (default: classic)
+ * @attr {string} orientation - Tab list orientation: "horizontal" or "vertical" (default: horizontal)
+ * @attr {string} sync-url - Writes the active heading ID to the URL: "hash" (default when present) or "query"
+ * @attr {string} sync-url-param - Query parameter name for sync-url="query" (defaults to the element's own ID, or "tab")
+ * @attr {boolean} sync-url-replace - When present, URL updates replace the current history entry instead of pushing a new one
+ * @attr {string} persist - Storage key used to remember the active tab across page loads
+ * @attr {string} persist-storage - Where persisted tabs are stored: "local" (default) or "session"
+ * @attr {string} collapse-below - Width (px, em or rem; unitless values are px) below which the tabs render as an accordion
  *
  * @slot - Default slot for content with heading elements (h1-h6) that define tab sections
  *
@@ -21,17 +569,34 @@
  * @cssprop --tabbed-interface-tab-background - Background color for tabs
  * @cssprop --tabbed-interface-tab-color - Text color for tabs
  * @cssprop --tabbed-interface-tab-border - Border for tabs
- * @cssprop --tabbed-interface-tab-border-radius - Border radius for tabs
+ * @cssprop --tabbed-interface-tab-border-radius - Border radius for tabs (default: 3px on the outer corners in the classic variant)
+ * @cssprop --tabbed-interface-tab-indicator-color - Color of the active tab's line in the underline variant (default: AccentColor)
  * @cssprop --tabbed-interface-tab-active-background - Background color for active tab
  * @cssprop --tabbed-interface-tab-active-color - Text color for active tab
  * @cssprop --tabbed-interface-tab-hover-background - Background color for hovered tab
  * @cssprop --tabbed-interface-tab-hover-color - Text color for hovered tab
  * @cssprop --tabbed-interface-tab-focus-outline - Focus outline for tabs
+ * @cssprop --tabbed-interface-tab-error-background - Background color for the error indicator of tabs with invalid fields (default: Mark)
+ * @cssprop --tabbed-interface-tab-error-color - Text color for the error indicator of tabs with invalid fields (default: MarkText)
  * @cssprop --tabbed-interface-tabpanel-padding - Padding for tab panels
  * @cssprop --tabbed-interface-tabpanel-background - Background color for tab panels
  * @cssprop --tabbed-interface-tabpanel-border - Border for tab panels
+ * @cssprop --tabbed-interface-transition-duration - Duration of each half of a panel transition (default: 150ms)
  *
- * @fires tabbed-interface:change - Fired when the active tab changes, with detail { tabId, tabpanelId, tabIndex }
+ * @fires tabbed-interface:ready - Fired once the component has built its tabs, with detail { tabIndex, tabCount }
+ * @fires tabbed-interface:beforechange - Cancelable; fired before the active tab changes, with detail { currentIndex, requestedIndex }
+ * @fires tabbed-interface:change - Fired when the active tab changes, with detail { tabId, tabpanelId, tabIndex, headingId, label, previousIndex, previousTabId, previousHeadingId, previousLabel, trigger }
+ * @fires tabbed-interface:leave - Fired when the active tab stops showing or the page is hidden, with detail { tabId, headingId, label, tabIndex, duration, trigger } where duration counts visible milliseconds
+ * @fires tabbed-interface:loadstart - Fired when lazy panel content starts loading, with detail { tabIndex, tabpanelId, src, template }
+ * @fires tabbed-interface:load - Fired when lazy panel content has been inserted, with detail { tabIndex, tabpanelId, src, template }
+ * @fires tabbed-interface:loaderror - Fired when lazy panel content fails to load, with detail { tabIndex, tabpanelId, src, template, error }
+ * @fires tabbed-interface:close - Cancelable; fired before a tab is closed by the user, with detail { tabId, headingId, tabIndex }
+ * @fires tabbed-interface:reorder - Fired when the user reorders a tab, with detail { order, from, to } where order lists heading IDs
+ * @fires tabbed-interface:transitionend - Fired when a panel transition finishes, with detail { tabIndex, previousIndex, transition }
+ * @fires tabbed-interface:add - Fired when addTab() adds a tab, with detail { tabId, tabpanelId, tabIndex }
+ * @fires tabbed-interface:remove - Fired when removeTab() removes a tab, with detail { tabId, headingId, tabIndex }
+ * @fires tabbed-interface:move - Fired when moveTab() moves a tab, with detail { tabId, from, to }
+ * @fires tabbed-interface:rename - Fired when renameTab() changes a tab's label, with detail { tabId, tabIndex, label }
  */
 export class TabbedInterfaceElement extends HTMLElement {
 	static get observedAttributes() {
@@ -40,31 +605,225 @@ export class TabbedInterfaceElement extends HTMLElement {
 			'tablist-after',
 			'default-tab',
 			'auto-activate',
+			'live-content',
+			'collapse-below',
+			'orientation',
+			'closable',
+			'reorderable',
+			'overflow',
+			'transition',
+			'expanded',
+			'variant',
 		];
 	}
 
+	// Every instance shares one constructable stylesheet where supported
+	static #styleSheet = null;
+
+	static #hash(text) {
+		let hash = 5381;
+		for (let index = 0; index < text.length; index++) {
+			hash = Math.imul(hash, 33) ^ text.charCodeAt(index);
+		}
+		return (hash >>> 0).toString(36);
+	}
+
+	static #getStyleSheet() {
+		if (
+			typeof CSSStyleSheet !== 'function' ||
+			!('replaceSync' in CSSStyleSheet.prototype) ||
+			!('adoptedStyleSheets' in ShadowRoot.prototype)
+		) {
+			return null;
+		}
+
+		if (!TabbedInterfaceElement.#styleSheet) {
+			TabbedInterfaceElement.#styleSheet = new CSSStyleSheet();
+			TabbedInterfaceElement.#styleSheet.replaceSync(STYLES);
+		}
+		return TabbedInterfaceElement.#styleSheet;
+	}
+
+	/**
+	 * Render heading-structured HTML to markup with a declarative shadow
+	 * root, so server-rendered pages show tabs before any script runs.
+	 * Needs DOM globals (e.g. happy-dom or jsdom) when called in Node, and
+	 * the tag name must already be defined.
+	 * @param {string} content - The element's light DOM HTML
+	 * @param {object} [options]
+	 * @param {Object<string, string|boolean>} [options.attributes] - Attributes for the host element
+	 * @param {string} [options.tagName] - Tag name to render, defaults to tabbed-interface
+	 * @returns {string} The element's HTML, ready for the client to hydrate
+	 */
+	static renderToString(
+		content,
+		{ attributes = {}, tagName = 'tabbed-interface' } = {},
+	) {
+		const definition = customElements.get(tagName);
+		if (!definition) {
+			throw new Error(
+				`<${tagName}> is not defined; call defineTabbedInterface() first`,
+			);
+		}
+		if (definition !== this && !(definition.prototype instanceof this)) {
+			throw new Error(
+				`<${tagName}> is already defined by another element`,
+			);
+		}
+
+		const element = document.createElement(tagName);
+		Object.entries(attributes).forEach(([name, value]) => {
+			if (value === true) {
+				element.setAttribute(name, '');
+			} else if (value !== false && value != null) {
+				element.setAttribute(name, String(value));
+			}
+		});
+		element.innerHTML = content;
+		element.#serverRendering = true;
+
+		// A random ID would change the markup on every render, and the
+		// marker tells hydration the ID isn't the author's
+		if (!element.id) {
+			element.id = `tabbed-interface-${TabbedInterfaceElement.#hash(
+				JSON.stringify([content, attributes]),
+			)}`;
+			element.setAttribute('data-generated-id', '');
+		}
+
+		// Build synchronously instead of waiting for an animation frame.
+		// No events fire while rendering, so the page never hears of it.
+		document.body.appendChild(element);
+		element.#initializeTabs();
+		element.shadowRoot
+			.querySelector('#container')
+			?.setAttribute('data-hydrate', '');
+
+		// Adopted stylesheets aren't serialized, so inline the styles
+		const template = document.createElement('template');
+		template.setAttribute('shadowrootmode', 'open');
+		template.innerHTML = element.shadowRoot.querySelector('style')
+			? element.shadowRoot.innerHTML
+			: `<style>${STYLES}</style>${element.shadowRoot.innerHTML}`;
+		element.prepend(template);
+		const markup = element.outerHTML;
+		element.remove();
+		return markup;
+	}
+
 	#tablist = null;
 	#tabs = [];
 	#tabpanels = [];
+	#sections = [];
+	#headings = [];
+	#panelHeadings = [];
+	#accordionHeadings = [];
+	#headingLevel = 2;
+	#contentNodes = [];
 	#activeIndex = 0;
 	#focusedIndex = 0;
 	#initialized = false;
 	#slotElement = null;
 	#boundHashChange = null;
+	#boundPopState = null;
+	#generatedId = null;
+	#restoringUrl = false;
+	#storageAdapter = null;
+	#strings = DEFAULT_STRINGS;
 	#hasCustomTitle = [];
+	#nextTabKey = 0;
+	#pendingLoads = new Set();
 	#pendingInitializationFrame = null;
-	#hashListenerAttached = false;
+	#windowListenersAttached = false;
+	#pointerFocus = false;
+	#dwellStart = null;
+	#resizeObserver = null;
+	#observedWidth = null;
+	#collapsed = false;
+	#dragIndex = -1;
+	#overflowStrip = null;
+	#overflowObserver = null;
+	#scrollButtons = [];
+	#overflowMenuButton = null;
+	#overflowMenu = null;
+	#transition = null;
+	#liveRegion = null;
+	#serverRendering = false;
+	#pendingActiveIndex = null;
+	#searchMatches = new Set();
+	// Short names set through renameTab() are text, never markup
+	#textShortNames = new WeakSet();
+	#searchRanges = [];
+	#validated = false;
+	#invalidPass = false;
+	#ready = null;
+	#resolveReady = null;
 	#onSlotChange = () => {
 		if (!this.isConnected) {
 			return;
 		}
-		this.#scheduleInitialization();
+		// Assigning named slots in live-content mode and inserting lazy
+		// content fire slotchange too; only update when the content changed.
+		// Some environments dispatch slotchange mid-mutation, so wait a tick.
+		queueMicrotask(() => {
+			if (!this.isConnected) {
+				return;
+			}
+			if (!this.#initialized) {
+				this.#scheduleInitialization();
+			} else if (this.#hasContentChanged()) {
+				this.#reconcileTabs();
+			}
+		});
+	};
+
+	// Native validation fires invalid on each invalid control, then focuses
+	// the first one, so show its tab before the browser tries
+	#onInvalid = (event) => {
+		if (!this.#initialized || this.#invalidPass) {
+			return;
+		}
+		this.#invalidPass = true;
+		setTimeout(() => {
+			this.#invalidPass = false;
+		});
+
+		this.#validated = true;
+		this.#tabs.forEach((tab, index) => this.#syncTabState(index));
+
+		const index = this.#findSectionIndex(event.target);
+		if (
+			index !== -1 &&
+			index !== this.#activeIndex &&
+			this.#activateTab(index, 'validation')
+		) {
+			this.#cancelTransition();
+		}
+	};
+
+	#onFormInput = (event) => {
+		if (!this.#validated || !this.#initialized) {
+			return;
+		}
+		const index = this.#findSectionIndex(event.target);
+		if (index !== -1) {
+			this.#syncTabState(index);
+		}
 	};
 
 	constructor() {
 		super();
-		this.attachShadow({ mode: 'open' });
+		// Keep a declarative shadow root from server rendering to hydrate
+		if (!this.shadowRoot) {
+			this.attachShadow({ mode: 'open' });
+		}
 		this.#boundHashChange = this.#handleHashChange.bind(this);
+		this.#boundPopState = this.#handlePopState.bind(this);
+		// invalid doesn't bubble, so listen while it passes the host
+		this.addEventListener('invalid', this.#onInvalid, true);
+		this.addEventListener('input', this.#onFormInput);
+		this.addEventListener('change', this.#onFormInput);
+		this.#createReadyPromise();
 	}
 
 	connectedCallback() {
@@ -72,25 +831,60 @@ export class TabbedInterfaceElement extends HTMLElement {
 		this.#upgradeProperty('tablistAfter');
 		this.#upgradeProperty('defaultTab');
 		this.#upgradeProperty('autoActivate');
+		this.#upgradeProperty('liveContent');
+		this.#upgradeProperty('closable');
+		this.#upgradeProperty('reorderable');
+		this.#upgradeProperty('collapseBelow');
+		this.#upgradeProperty('orientation');
+		this.#upgradeProperty('variant');
+		this.#upgradeProperty('overflow');
+		this.#upgradeProperty('transition');
+		this.#upgradeProperty('expanded');
+		this.#upgradeProperty('syncUrl');
+		this.#upgradeProperty('persist');
+		this.#upgradeProperty('storageAdapter');
+		this.#upgradeProperty('strings');
 		this.#upgradeProperty('activeIndex');
 
+		if (this.shadowRoot.querySelector('#container[data-hydrate]')) {
+			this.#hydrate();
+			return;
+		}
+
 		this.#render();
-		this.#scheduleInitialization();
+		// Server rendering builds the tabs itself, synchronously
+		if (!this.#serverRendering) {
+			this.#scheduleInitialization();
+		}
 	}
 
 	disconnectedCallback() {
-		if (this.#hashListenerAttached) {
-			window.removeEventListener('hashchange', this.#boundHashChange);
-			this.#hashListenerAttached = false;
+		// Report the time spent on the tab that was showing
+		if (this.#initialized && this.#tabs[this.#activeIndex]) {
+			this.#dispatchLeave(this.#describeTab(this.#activeIndex), null);
 		}
+		this.#detachWindowListeners();
+		this.#cancelScheduledInitialization();
 
-		if (this.#pendingInitializationFrame !== null) {
-			cancelAnimationFrame(this.#pendingInitializationFrame);
-			this.#pendingInitializationFrame = null;
+		if (this.#resizeObserver) {
+			this.#resizeObserver.disconnect();
+			this.#resizeObserver = null;
 		}
+		this.#observedWidth = null;
+		this.#collapsed = false;
+		this.#teardownOverflow();
+		this.#cancelTransition();
+
+		this.#searchMatches = new Set();
+		this.#highlightRanges([]);
 
 		this.#detachSlotListener();
 		this.#resetInternalState();
+
+		// Reconnecting builds the tabs again, so wait for that
+		if (!this.#resolveReady) {
+			this.#createReadyPromise();
+		}
 	}
 
 	attributeChangedCallback(name, oldValue, newValue) {
@@ -103,7 +897,7 @@ export class TabbedInterfaceElement extends HTMLElement {
 				this.#updateHeaderVisibility();
 				break;
 			case 'tablist-after':
-				this.#updateTablistPosition();
+				this.#arrangeContainer();
 				break;
 			case 'default-tab':
 				this.#applyDefaultTab();
@@ -111,6 +905,34 @@ export class TabbedInterfaceElement extends HTMLElement {
 			case 'auto-activate':
 				this.#focusedIndex = this.#activeIndex;
 				break;
+			case 'live-content':
+				this.#scheduleInitialization();
+				break;
+			case 'collapse-below':
+				this.#updateCollapseObserver();
+				break;
+			case 'orientation':
+				this.#tablist.setAttribute(
+					'aria-orientation',
+					this.orientation,
+				);
+				this.#arrangeContainer();
+				break;
+			case 'overflow':
+			case 'variant':
+				this.#arrangeContainer();
+				break;
+			case 'closable':
+			case 'reorderable':
+				this.#tabs.forEach((tab, index) => this.#syncTabState(index));
+				break;
+			case 'expanded':
+				this.#cancelTransition();
+				this.#tabs.forEach((tab, index) => this.#syncTabState(index));
+				this.#updateHeaderVisibility();
+				this.#updateOverflow();
+				this.#loadExpandedPanels();
+				break;
 			default:
 				break;
 		}
@@ -129,11 +951,25 @@ export class TabbedInterfaceElement extends HTMLElement {
 	 * @param {number} index - The tab index to activate
 	 */
 	set activeIndex(index) {
+		// Applied once the tabs are built
+		if (!this.#initialized) {
+			this.#pendingActiveIndex = index;
+			return;
+		}
+
 		if (index >= 0 && index < this.#tabs.length) {
 			this.#activateTab(index);
 		}
 	}
 
+	/**
+	 * Resolves once the component has built its tabs
+	 * @returns {Promise<void>}
+	 */
+	get ready() {
+		return this.#ready;
+	}
+
 	/**
 	 * Whether to show headers in tab panels
 	 * @returns {boolean}
@@ -185,14 +1021,244 @@ export class TabbedInterfaceElement extends HTMLElement {
 		}
 	}
 
-	get defaultTab() {
-		return this.getAttribute('default-tab');
+	/**
+	 * Whether panel content stays live in the light DOM
+	 * @returns {boolean}
+	 */
+	get liveContent() {
+		// Default to false; true when attribute is present
+		return this.hasAttribute('live-content');
 	}
 
-	set defaultTab(value) {
-		if (value === null || value === undefined) {
-			this.removeAttribute('default-tab');
-			return;
+	set liveContent(value) {
+		if (value) {
+			this.setAttribute('live-content', '');
+		} else {
+			this.removeAttribute('live-content');
+		}
+	}
+
+	/**
+	 * Whether tabs can be closed by the user
+	 * @returns {boolean}
+	 */
+	get closable() {
+		// Default to false; true when attribute is present
+		return this.hasAttribute('closable');
+	}
+
+	set closable(value) {
+		if (value) {
+			this.setAttribute('closable', '');
+		} else {
+			this.removeAttribute('closable');
+		}
+	}
+
+	/**
+	 * Whether users can reorder tabs by dragging or with the keyboard
+	 * @returns {boolean}
+	 */
+	get reorderable() {
+		// Default to false; true when attribute is present
+		return this.hasAttribute('reorderable');
+	}
+
+	set reorderable(value) {
+		if (value) {
+			this.setAttribute('reorderable', '');
+		} else {
+			this.removeAttribute('reorderable');
+		}
+	}
+
+	/**
+	 * Whether every section is shown in a linear view instead of as tabs
+	 * @returns {boolean}
+	 */
+	get expanded() {
+		// Default to false; true when attribute is present
+		return this.hasAttribute('expanded');
+	}
+
+	set expanded(value) {
+		if (value) {
+			this.setAttribute('expanded', '');
+		} else {
+			this.removeAttribute('expanded');
+		}
+	}
+
+	/**
+	 * Tab list orientation
+	 * @returns {'horizontal'|'vertical'}
+	 */
+	get orientation() {
+		return this.getAttribute('orientation') === 'vertical'
+			? 'vertical'
+			: 'horizontal';
+	}
+
+	set orientation(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('orientation');
+		} else {
+			this.setAttribute('orientation', String(value));
+		}
+	}
+
+	/**
+	 * Built-in look
+	 * @returns {'classic'|'underline'|'pills'|'segmented'}
+	 */
+	get variant() {
+		const value = this.getAttribute('variant');
+		return ['underline', 'pills', 'segmented'].includes(value)
+			? value
+			: 'classic';
+	}
+
+	set variant(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('variant');
+		} else {
+			this.setAttribute('variant', String(value));
+		}
+	}
+
+	/**
+	 * How a horizontal tab list handles tabs that don't fit
+	 * @returns {'scroll'|'menu'|null}
+	 */
+	get overflow() {
+		const value = this.getAttribute('overflow');
+		return value === 'scroll' || value === 'menu' ? value : null;
+	}
+
+	set overflow(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('overflow');
+		} else {
+			this.setAttribute('overflow', String(value));
+		}
+	}
+
+	/**
+	 * How panels animate when the active tab changes
+	 * @returns {'fade'|'slide'|'view'|null}
+	 */
+	get transition() {
+		const value = this.getAttribute('transition');
+		return ['fade', 'slide', 'view'].includes(value) ? value : null;
+	}
+
+	set transition(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('transition');
+		} else {
+			this.setAttribute('transition', String(value));
+		}
+	}
+
+	/**
+	 * Where the active tab is written in the URL
+	 * @returns {'hash'|'query'|null}
+	 */
+	get syncUrl() {
+		const value = this.getAttribute('sync-url');
+		if (value === null) {
+			return null;
+		}
+		return value === 'query' ? 'query' : 'hash';
+	}
+
+	set syncUrl(value) {
+		if (value === null || value === undefined || value === false) {
+			this.removeAttribute('sync-url');
+		} else {
+			this.setAttribute('sync-url', value === true ? '' : String(value));
+		}
+	}
+
+	/**
+	 * Storage key used to remember the active tab
+	 * @returns {string|null}
+	 */
+	get persist() {
+		return this.getAttribute('persist');
+	}
+
+	set persist(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('persist');
+		} else {
+			this.setAttribute('persist', String(value));
+		}
+	}
+
+	/**
+	 * Custom storage for the persisted tab, used instead of localStorage or
+	 * sessionStorage. Needs synchronous getItem(key) and setItem(key, value).
+	 * @returns {{ getItem(key: string): string|null, setItem(key: string, value: string): void }|null}
+	 */
+	get storageAdapter() {
+		return this.#storageAdapter;
+	}
+
+	set storageAdapter(adapter) {
+		this.#storageAdapter = adapter || null;
+	}
+
+	/**
+	 * Text the component adds itself, for translating the interface.
+	 * Setting it merges with the English defaults; `moved` and
+	 * `invalidFields` are functions so each language can word them.
+	 * @returns {{ loading: string, loadError: string, close: string, more: string, moved: (label: string, position: number, count: number) => string, invalidFields: (count: number) => string }}
+	 */
+	get strings() {
+		return this.#strings;
+	}
+
+	set strings(value) {
+		this.#strings = Object.freeze({ ...DEFAULT_STRINGS, ...value });
+		if (this.#overflowMenuButton) {
+			this.#overflowMenuButton.textContent = this.#strings.more;
+		}
+		this.#tabs.forEach((tab, index) => this.#syncTabState(index));
+	}
+
+	/**
+	 * Width below which the tabs render as an accordion
+	 * @returns {string|null}
+	 */
+	get collapseBelow() {
+		return this.getAttribute('collapse-below');
+	}
+
+	set collapseBelow(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('collapse-below');
+		} else {
+			this.setAttribute('collapse-below', String(value));
+		}
+	}
+
+	/**
+	 * Whether the component is currently rendered as an accordion
+	 * @returns {boolean}
+	 */
+	get collapsed() {
+		return this.#collapsed;
+	}
+
+	get defaultTab() {
+		return this.getAttribute('default-tab');
+	}
+
+	set defaultTab(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('default-tab');
+			return;
 		}
 
 		const stringValue = String(value).trim();
@@ -204,6 +1270,19 @@ export class TabbedInterfaceElement extends HTMLElement {
 		this.setAttribute('default-tab', stringValue);
 	}
 
+	/**
+	 * Build the tabs now instead of on the next animation frame
+	 */
+	initialize() {
+		if (!this.isConnected || this.#initialized) {
+			return;
+		}
+
+		this.#cancelScheduledInitialization();
+		this.#initializeTabs();
+		this.#finishInitialization();
+	}
+
 	/**
 	 * Navigate to the next tab
 	 */
@@ -211,9 +1290,8 @@ export class TabbedInterfaceElement extends HTMLElement {
 		if (this.#tabs.length === 0) {
 			return;
 		}
-		const nextIndex = (this.#activeIndex + 1) % this.#tabs.length;
-		this.#activateTab(nextIndex);
-		this.#tabs[nextIndex].focus();
+		this.#activateTab(this.#stepIndex(this.#activeIndex, 1));
+		this.#tabs[this.#activeIndex].focus();
 	}
 
 	/**
@@ -223,10 +1301,8 @@ export class TabbedInterfaceElement extends HTMLElement {
 		if (this.#tabs.length === 0) {
 			return;
 		}
-		const prevIndex =
-			(this.#activeIndex - 1 + this.#tabs.length) % this.#tabs.length;
-		this.#activateTab(prevIndex);
-		this.#tabs[prevIndex].focus();
+		this.#activateTab(this.#stepIndex(this.#activeIndex, -1));
+		this.#tabs[this.#activeIndex].focus();
 	}
 
 	/**
@@ -236,8 +1312,8 @@ export class TabbedInterfaceElement extends HTMLElement {
 		if (this.#tabs.length === 0) {
 			return;
 		}
-		this.#activateTab(0);
-		this.#tabs[0].focus();
+		this.#activateTab(this.#stepIndex(-1, 1));
+		this.#tabs[this.#activeIndex].focus();
 	}
 
 	/**
@@ -247,527 +1323,2774 @@ export class TabbedInterfaceElement extends HTMLElement {
 		if (this.#tabs.length === 0) {
 			return;
 		}
-		const lastIndex = this.#tabs.length - 1;
-		this.#activateTab(lastIndex);
-		this.#tabs[lastIndex].focus();
+		this.#activateTab(this.#stepIndex(this.#tabs.length, -1));
+		this.#tabs[this.#activeIndex].focus();
 	}
 
-	#render() {
-		this.#detachSlotListener();
-		this.shadowRoot.innerHTML = `
-			<style>
-				:host {
-					display: block;
-				}
-
-				[role="tablist"] {
-					display: flex;
-					gap: -1px;
-					padding: 0;
-					margin: 0;
-					margin-block-end: -1px;
-					background: transparent;
-					border: none;
-					list-style: none;
-					scroll-margin-block-start: 2rem;
-				}
+	/**
+	 * Show every section with its heading in a linear view
+	 */
+	expandAll() {
+		this.expanded = true;
+	}
 
-				:host([tablist-after]) [role="tablist"] {
-					margin-block-start: -1px;
-					margin-block-end: 0;
-				}
+	/**
+	 * Return from the linear view to tabs, keeping the active tab
+	 */
+	collapse() {
+		this.expanded = false;
+	}
 
-				[role="tab"] {
-					padding: 0.5em 1em;
-					background-color: ButtonFace;
-					color: ButtonText;
-					border: 1px solid ButtonBorder;
-					border-radius: 0;
-					border-start-start-radius: 3px;
-					border-start-end-radius: 3px;
-					cursor: pointer;
-					font: inherit;
-					text-align: center;
-				}
+	/**
+	 * Focus the active tab (falls back to the host when there are no tabs)
+	 * @param {FocusOptions} [options]
+	 */
+	focus(options) {
+		const tab = this.#tabs[this.#activeIndex];
+		if (tab) {
+			tab.focus(options);
+		} else {
+			super.focus(options);
+		}
+	}
 
-				[role="tab"]:hover,
-				[role="tab"]:focus {
-					background: ButtonFace;
-					color: inherit;
-				}
+	/**
+	 * Disable a tab so it can't be activated or reached with arrow keys
+	 * @param {number} index - The tab index to disable
+	 */
+	disableTab(index) {
+		const heading = this.#headings[index];
+		if (!heading) {
+			return;
+		}
 
-				[role="tab"]:focus-visible {
-					outline: 2px solid AccentColor;
-					outline-offset: 1px;
-				}
+		// The heading attribute is the source of truth, so it survives rebuilds
+		heading.setAttribute('data-tab-disabled', '');
+		this.#syncTabState(index);
 
-				[role="tab"][aria-selected="true"] {
-					background: Canvas;
-					border-block-end-color: Canvas;
-					color: CanvasText;
-				}
+		if (index === this.#activeIndex) {
+			this.#activateTab(this.#nearestEnabledIndex(index));
+		}
+	}
 
-				:host([tablist-after]) [role="tab"] {
-					border-start-start-radius: 0;
-					border-start-end-radius: 0;
-					border-end-start-radius: 3px;
-					border-end-end-radius: 3px;
-				}
+	/**
+	 * Re-enable a previously disabled tab
+	 * @param {number} index - The tab index to enable
+	 */
+	enableTab(index) {
+		const heading = this.#headings[index];
+		if (!heading) {
+			return;
+		}
 
-				:host([tablist-after]) [role="tab"][aria-selected="true"] {
-					border-block-start-color: Canvas;
-					border-block-end-color: ButtonBorder;
-				}
+		heading.removeAttribute('data-tab-disabled');
+		this.#syncTabState(index);
+	}
 
-				[role="tabpanel"] {
-					padding: 1em;
-					background: transparent;
-					border: 1px solid ButtonBorder;
-				}
+	/**
+	 * Add a tab, inserting its heading and content into the light DOM
+	 * @param {object} options
+	 * @param {string|HTMLElement} options.heading - Heading text or element
+	 * @param {string|Node|Node[]} [options.content] - Panel HTML or nodes
+	 * @param {number} [options.index] - Where to insert the tab, defaults to the end
+	 * @returns {number} The new tab's index, or -1 if the tabs haven't been built yet
+	 */
+	addTab({ heading, content = [], index = this.#tabs.length } = {}) {
+		let headingElement = heading;
+		if (typeof heading === 'string') {
+			headingElement = document.createElement(`h${this.#headingLevel}`);
+			headingElement.textContent = heading;
+		}
 
-				[role="tabpanel"][hidden] {
-					display: none;
-				}
+		let contentNodes = content;
+		if (typeof content === 'string') {
+			const template = document.createElement('template');
+			template.innerHTML = content;
+			contentNodes = template.content.childNodes;
+		} else if (content instanceof DocumentFragment) {
+			contentNodes = content.childNodes;
+		} else if (content instanceof Node) {
+			contentNodes = [content];
+		}
+		const nodes = this.#toSectionContent(contentNodes);
 
-				.visually-hidden {
-					position: absolute;
-					width: 1px;
-					height: 1px;
-					padding: 0;
-					margin: -1px;
-					overflow: hidden;
-					clip: rect(0, 0, 0, 0);
-					white-space: nowrap;
-					border: 0;
-				}
+		// The pending initialization picks the new section up
+		if (!this.#initialized) {
+			this.append(headingElement, ...nodes);
+			return -1;
+		}
 
-				#container {
-					display: contents;
-				}
-			</style>
-			<div id="container"></div>
-			<slot style="display: none;"></slot>
-		`;
+		const position = Math.min(Math.max(index, 0), this.#tabs.length);
+		const nextSection = this.#sections[position];
+		if (nextSection) {
+			nextSection.heading.before(headingElement, ...nodes);
+		} else {
+			const lastSection = this.#sections.at(-1);
+			const lastNode = lastSection.content.at(-1) || lastSection.heading;
+			lastNode.after(headingElement, ...nodes);
+		}
 
-		this.#slotElement = this.shadowRoot.querySelector('slot');
-		if (this.#slotElement) {
-			this.#slotElement.addEventListener(
-				'slotchange',
-				this.#onSlotChange,
-			);
+		const entry = this.#createTab({
+			heading: headingElement,
+			content: nodes,
+		});
+		this.#spliceTabs(position, 0, entry);
+		if (position <= this.#activeIndex) {
+			this.#activeIndex += 1;
+		}
+		if (position <= this.#focusedIndex) {
+			this.#focusedIndex += 1;
 		}
+
+		this.#arrangeContainer();
+		this.#contentNodes = this.#getContentNodes();
+		this.#writePersistedTab(this.#activeIndex);
+		this.#dispatchTabEvent('add', {
+			tabId: entry.tab.id,
+			tabpanelId: entry.panel.id,
+			tabIndex: position,
+		});
+
+		return position;
 	}
 
-	#scheduleInitialization() {
-		if (this.#pendingInitializationFrame !== null) {
-			cancelAnimationFrame(this.#pendingInitializationFrame);
+	/**
+	 * Remove a tab along with its heading and content in the light DOM
+	 * @param {number|string} indexOrId - The tab index or its heading's id
+	 * @returns {boolean} Whether a tab was removed
+	 */
+	removeTab(indexOrId) {
+		return this.#removeTab(indexOrId, 'api');
+	}
+
+	#removeTab(indexOrId, trigger) {
+		const index = this.#resolveTabIndex(indexOrId);
+		if (index === -1) {
+			return false;
 		}
 
-		this.#pendingInitializationFrame = requestAnimationFrame(() => {
-			this.#pendingInitializationFrame = null;
+		const hadFocus = this.shadowRoot.activeElement === this.#tabs[index];
+		const wasActive = index === this.#activeIndex;
+		if (wasActive && this.#initialized) {
+			this.#dispatchLeave(this.#describeTab(index), trigger);
+		}
+		const [entry] = this.#spliceTabs(index, 1);
+
+		entry.tab.remove();
+		entry.panel.remove();
+		entry.accordionHeading.remove();
+		entry.section.heading.remove();
+		entry.section.content.forEach((node) => node.remove());
+
+		const detail = {
+			tabId: entry.tab.id,
+			headingId: entry.section.heading.id || null,
+			tabIndex: index,
+		};
+
+		if (this.#tabs.length === 0) {
 			this.#initializeTabs();
+			this.#dispatchTabEvent('remove', detail);
+			return true;
+		}
 
-			if (this.#tabs.length === 0) {
-				if (this.#hashListenerAttached) {
-					window.removeEventListener(
-						'hashchange',
-						this.#boundHashChange,
-					);
-					this.#hashListenerAttached = false;
-				}
-				return;
-			}
+		if (index < this.#activeIndex) {
+			this.#activeIndex -= 1;
+		} else if (wasActive) {
+			this.#activeIndex = -1;
+		}
+		if (index < this.#focusedIndex) {
+			this.#focusedIndex -= 1;
+		}
+		this.#focusedIndex = Math.min(
+			this.#focusedIndex,
+			this.#tabs.length - 1,
+		);
 
-			if (!this.#hashListenerAttached) {
-				window.addEventListener('hashchange', this.#boundHashChange);
-				this.#hashListenerAttached = true;
-			}
+		this.#arrangeContainer();
+		this.#contentNodes = this.#getContentNodes();
+		this.#dispatchTabEvent('remove', detail);
 
-			this.#handleHashChange();
-		});
+		// The removed tab can't be kept, so its neighbour takes over
+		// without a cancelable beforechange
+		if (wasActive) {
+			this.#commitTab(
+				this.#nearestEnabledIndex(
+					Math.min(index, this.#tabs.length - 1),
+				),
+				trigger,
+			);
+		} else {
+			this.#writePersistedTab(this.#activeIndex);
+		}
+
+		if (hadFocus) {
+			this.#tabs[this.#focusedIndex].focus();
+		}
+
+		return true;
 	}
 
-	#initializeTabs() {
-		const container = this.shadowRoot.querySelector('#container');
-		const slot = this.#slotElement;
+	/**
+	 * Move a tab and its light DOM section to a new position
+	 * @param {number} from - The tab's current index
+	 * @param {number} to - The index the tab should end up at
+	 * @returns {boolean} Whether the tab was moved
+	 */
+	moveTab(from, to) {
+		if (!this.#isTabIndex(from) || !this.#isTabIndex(to)) {
+			return false;
+		}
+		if (from === to) {
+			return true;
+		}
 
-		if (!container || !slot) {
-			return;
+		const activeTab = this.#tabs[this.#activeIndex];
+		const focusedTab = this.#tabs[this.#focusedIndex];
+		const [entry] = this.#spliceTabs(from, 1);
+		this.#spliceTabs(to, 0, entry);
+
+		const nodes = [entry.section.heading, ...entry.section.content];
+		const nextSection = this.#sections[to + 1];
+		if (nextSection) {
+			nextSection.heading.before(...nodes);
+		} else {
+			const previousSection = this.#sections[to - 1];
+			const lastNode =
+				previousSection.content.at(-1) || previousSection.heading;
+			lastNode.after(...nodes);
 		}
 
-		this.#resetInternalState();
+		this.#activeIndex = this.#tabs.indexOf(activeTab);
+		this.#focusedIndex = this.#tabs.indexOf(focusedTab);
 
-		const slottedNodes = slot.assignedNodes({ flatten: true });
+		this.#arrangeContainer();
+		this.#contentNodes = this.#getContentNodes();
+		this.#writePersistedTab(this.#activeIndex);
+		this.#dispatchTabEvent('move', {
+			tabId: entry.tab.id,
+			from,
+			to,
+		});
 
-		let headingTag = null;
-		for (const node of slottedNodes) {
-			if (node.nodeType === Node.ELEMENT_NODE) {
-				const match = node.tagName.match(/^H([1-6])$/i);
-				if (match) {
-					headingTag = node.tagName.toLowerCase();
-					break;
-				}
+		return true;
+	}
+
+	/**
+	 * Change a tab's label. Headings with `data-tab-short-name` keep their
+	 * text and only the short name changes.
+	 * @param {number} index - The tab index to rename
+	 * @param {string} label - The new label, rendered as text
+	 * @returns {boolean} Whether the tab was renamed
+	 */
+	renameTab(index, label) {
+		const heading = this.#headings[index];
+		if (!heading) {
+			return false;
+		}
+
+		if (heading.dataset.tabShortName) {
+			heading.dataset.tabShortName = label;
+			this.#textShortNames.add(heading);
+		} else {
+			heading.textContent = label;
+			if (!this.liveContent) {
+				this.#panelHeadings[index].textContent = label;
 			}
 		}
 
-		if (!headingTag) {
-			container.innerHTML = '';
-			slot.style.display = '';
+		this.#refreshTabLabel(index);
+		this.#dispatchTabEvent('rename', {
+			tabId: this.#tabs[index].id,
+			tabIndex: index,
+			label,
+		});
+
+		return true;
+	}
+
+	/**
+	 * Set or clear the badge shown after a tab's label
+	 * @param {number} index - The tab index
+	 * @param {string|number|null} value - Badge text, or null to remove the badge
+	 * @param {string} [label] - Text read by screen readers instead of the value, e.g. "3 unread"
+	 */
+	setBadge(index, value, label) {
+		const heading = this.#headings[index];
+		if (!heading) {
 			return;
 		}
 
-		const sections = this.#parseContentIntoSections(
-			slottedNodes,
-			headingTag,
-		);
+		// The heading attributes are the source of truth, so the badge
+		// survives rebuilds
+		if (value === null || value === undefined || value === '') {
+			heading.removeAttribute('data-tab-badge');
+			heading.removeAttribute('data-tab-badge-label');
+		} else {
+			heading.setAttribute('data-tab-badge', String(value));
+			if (label) {
+				heading.setAttribute('data-tab-badge-label', label);
+			} else {
+				heading.removeAttribute('data-tab-badge-label');
+			}
+		}
+
+		this.#refreshTabLabel(index);
+	}
+
+	/**
+	 * Find the tabs whose label or panel text contains a query
+	 * @param {string} query - Text to look for, ignoring case; empty clears the results
+	 * @param {object} [options]
+	 * @param {boolean} [options.highlight] - Mark the matching tabs and highlight the matches in their panels
+	 * @returns {number[]} The indices of the matching tabs
+	 */
+	search(query, { highlight = false } = {}) {
+		const needle = String(query ?? '')
+			.trim()
+			.toLowerCase();
+		const matches = [];
+		const ranges = [];
+
+		if (needle) {
+			this.#tabs.forEach((tab, index) => {
+				const panelRanges = this.#findTextRanges(
+					this.#getPanelTextNodes(index),
+					needle,
+				);
+				if (
+					panelRanges.length > 0 ||
+					this.#getTabLabel(index).toLowerCase().includes(needle)
+				) {
+					matches.push(index);
+					ranges.push(...panelRanges);
+				}
+			});
+		}
+
+		this.#searchMatches = new Set(
+			highlight ? matches.map((index) => this.#tabs[index]) : [],
+		);
+		this.#tabs.forEach((tab, index) => this.#syncTabState(index));
+		this.#highlightRanges(highlight ? ranges : []);
+
+		return matches;
+	}
+
+	/**
+	 * Summarize the validity of the form controls in each tab
+	 * @returns {Array<{ tabIndex: number, tabId: string, headingId: string|null, valid: boolean, invalidControls: Element[] }>}
+	 */
+	getValidity() {
+		return this.#tabs.map((tab, index) => {
+			const invalidControls = this.#getInvalidControls(index);
+			return {
+				tabIndex: index,
+				tabId: tab.id,
+				headingId: this.#headings[index].id || null,
+				valid: invalidControls.length === 0,
+				invalidControls,
+			};
+		});
+	}
+
+	#render() {
+		this.#detachSlotListener();
+		const styleSheet = TabbedInterfaceElement.#getStyleSheet();
+		if (styleSheet) {
+			// Keep any sheets the page adopted alongside the built-in one
+			this.shadowRoot.adoptedStyleSheets = [
+				styleSheet,
+				...this.shadowRoot.adoptedStyleSheets.filter(
+					(sheet) => sheet !== styleSheet,
+				),
+			];
+		}
+
+		this.shadowRoot.innerHTML = `
+			${styleSheet ? '' : `<style>${STYLES}</style>`}
+			<div id="container"></div>
+			<slot style="display: none;"></slot>
+			<div class="visually-hidden" role="status"></div>
+		`;
+
+		this.#liveRegion = this.shadowRoot.querySelector('[role="status"]');
+		this.#slotElement = this.shadowRoot.querySelector('slot');
+		if (this.#slotElement) {
+			// Listen on the root so named panel slots report changes as well
+			this.shadowRoot.addEventListener('slotchange', this.#onSlotChange);
+		}
+	}
+
+	#scheduleInitialization() {
+		this.#cancelScheduledInitialization();
+		this.#pendingInitializationFrame = requestAnimationFrame(() => {
+			this.#pendingInitializationFrame = null;
+			this.#initializeTabs();
+			this.#finishInitialization();
+		});
+	}
+
+	// Adopts the structure from renderToString() without rebuilding it, so
+	// the server-rendered page doesn't reflow. Falls back to a fresh build
+	// when the markup no longer matches the content.
+	#hydrate() {
+		const container = this.shadowRoot.querySelector('#container');
+		this.#liveRegion = this.shadowRoot.querySelector('[role="status"]');
+		this.#slotElement = this.shadowRoot.querySelector('slot:not([name])');
+		if (this.#slotElement) {
+			this.shadowRoot.addEventListener('slotchange', this.#onSlotChange);
+		}
+
+		this.#initializeTabs({ hydrate: true });
+		container.removeAttribute('data-hydrate');
+		this.#finishInitialization();
+	}
+
+	#cancelScheduledInitialization() {
+		if (this.#pendingInitializationFrame !== null) {
+			cancelAnimationFrame(this.#pendingInitializationFrame);
+			this.#pendingInitializationFrame = null;
+		}
+	}
+
+	#finishInitialization() {
+		if (this.#tabs.length === 0) {
+			this.#detachWindowListeners();
+		} else {
+			this.#attachWindowListeners();
+			this.#applyUrlState();
+		}
+
+		if (this.#resolveReady) {
+			this.#resolveReady();
+			this.#resolveReady = null;
+			this.#dispatchTabEvent('ready', {
+				tabIndex: this.#activeIndex,
+				tabCount: this.#tabs.length,
+			});
+		}
+	}
+
+	#createReadyPromise() {
+		this.#ready = new Promise((resolve) => {
+			this.#resolveReady = resolve;
+		});
+	}
+
+	#attachWindowListeners() {
+		if (this.#windowListenersAttached) {
+			return;
+		}
+		window.addEventListener('hashchange', this.#boundHashChange);
+		window.addEventListener('popstate', this.#boundPopState);
+		window.addEventListener('pagehide', this.#onPageHide);
+		document.addEventListener('visibilitychange', this.#onVisibilityChange);
+		this.#windowListenersAttached = true;
+	}
+
+	#detachWindowListeners() {
+		if (!this.#windowListenersAttached) {
+			return;
+		}
+		window.removeEventListener('hashchange', this.#boundHashChange);
+		window.removeEventListener('popstate', this.#boundPopState);
+		window.removeEventListener('pagehide', this.#onPageHide);
+		document.removeEventListener(
+			'visibilitychange',
+			this.#onVisibilityChange,
+		);
+		this.#windowListenersAttached = false;
+	}
+
+	#initializeTabs({ hydrate = false } = {}) {
+		const container = this.shadowRoot.querySelector('#container');
+		const slot = this.#slotElement;
+
+		if (!container || !slot) {
+			return;
+		}
+
+		this.#resetInternalState();
+
+		// Server-rendered panels already carry their slot assignments
+		if (!this.liveContent && !hydrate) {
+			this.#releaseSlottedContent();
+		}
+
+		const slottedNodes = this.#getContentNodes();
+		const headingTag = this.#findHeadingTag(slottedNodes);
+
+		if (!headingTag) {
+			container.innerHTML = '';
+			this.#updateCollapseObserver();
+			slot.style.display = '';
+			return;
+		}
+
+		const sections = this.#parseContentIntoSections(
+			slottedNodes,
+			headingTag,
+		);
+
+		if (sections.length === 0) {
+			container.innerHTML = '';
+			this.#updateCollapseObserver();
+			slot.style.display = '';
+			return;
+		}
+
+		slot.style.display = 'none';
+		this.#headingLevel = Number(headingTag.slice(1));
+
+		const baseId = this.id || `tabbed-interface-${this.#generateId()}`;
+		if (!this.id) {
+			this.id = baseId;
+			this.#generatedId = baseId;
+		} else if (this.hasAttribute('data-generated-id')) {
+			// Generated during server rendering
+			this.#generatedId = this.id;
+		}
+
+		const rendered = hydrate
+			? this.#findRenderedTabs(container, sections.length)
+			: null;
+
+		this.#tablist = rendered?.tablist || document.createElement('div');
+		this.#tablist.setAttribute('role', 'tablist');
+		this.#tablist.setAttribute('part', 'tablist');
+		this.#tablist.setAttribute('aria-orientation', this.orientation);
+
+		this.#spliceTabs(
+			0,
+			0,
+			...sections.map((section, index) =>
+				this.#createTab(
+					section,
+					rendered && {
+						tab: rendered.tabs[index],
+						panel: rendered.panels[index],
+					},
+				),
+			),
+		);
+
+		this.#arrangeContainer();
+
+		this.#contentNodes = this.#getContentNodes();
+		this.#applyDefaultTab({ force: true });
+		this.#initialized = true;
+		this.#focusedIndex = this.#activeIndex;
+		this.#updateCollapseObserver();
+		this.#loadExpandedPanels();
+	}
+
+	// Returns the server-rendered tablist, tabs and panels, or null when
+	// they don't line up with the current sections
+	#findRenderedTabs(container, count) {
+		const tablist = container.querySelector(
+			':scope > [role="tablist"], :scope > .tab-strip > [role="tablist"]',
+		);
+		if (!tablist) {
+			return null;
+		}
+
+		const tabs = Array.from(tablist.children);
+		const panels = Array.from(
+			container.querySelectorAll(':scope > [role="tabpanel"]'),
+		);
+		const matches =
+			tabs.length === count &&
+			panels.length === count &&
+			tabs.every(
+				(tab, index) =>
+					tab.id === `${this.id}-tab-${index}` &&
+					panels[index].id === `${this.id}-panel-${index}`,
+			);
+
+		return matches ? { tablist, tabs, panels } : null;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	#findHeadingTag(nodes) {
+		const heading = nodes.find(
+			(node) =>
+				node.nodeType === Node.ELEMENT_NODE &&
+				/^H[1-6]$/i.test(node.tagName),
+		);
+		return heading ? heading.tagName.toLowerCase() : null;
+	}
+
+	#reconcileTabs() {
+		const nodes = this.#getContentNodes();
+		const headingTag = this.#findHeadingTag(nodes);
+		const sections =
+			headingTag === `h${this.#headingLevel}`
+				? this.#parseContentIntoSections(nodes, headingTag)
+				: [];
+
+		// A different heading level or no sections at all needs a full build
+		if (sections.length === 0) {
+			this.#scheduleInitialization();
+			return;
+		}
+
+		const activeTab = this.#tabs[this.#activeIndex];
+		const focusedTab = this.#tabs[this.#focusedIndex];
+		const previousActiveIndex = this.#activeIndex;
+		const previousActive = activeTab
+			? this.#describeTab(previousActiveIndex)
+			: null;
+		const hadFocus = this.#tabs.includes(this.shadowRoot.activeElement);
+		const previousEntries = this.#spliceTabs(0, this.#tabs.length);
+
+		// Match sections by heading identity first, then by heading id so
+		// re-rendered headings keep their tab
+		const unmatched = new Map(
+			previousEntries.map((entry) => [entry.section.heading, entry]),
+		);
+		const matches = sections.map((section) => {
+			const entry = unmatched.get(section.heading);
+			unmatched.delete(section.heading);
+			return entry;
+		});
+		sections.forEach((section, index) => {
+			if (matches[index] || !section.heading.id) {
+				return;
+			}
+			const entry = Array.from(unmatched.values()).find(
+				(candidate) =>
+					candidate.section.heading.id === section.heading.id,
+			);
+			if (entry) {
+				matches[index] = entry;
+				unmatched.delete(entry.section.heading);
+			}
+		});
+
+		unmatched.forEach((entry) => {
+			entry.tab.remove();
+			entry.panel.remove();
+			entry.accordionHeading.remove();
+		});
+
+		this.#spliceTabs(
+			0,
+			0,
+			...sections.map((section, index) =>
+				matches[index]
+					? this.#updateTab(matches[index], section)
+					: this.#createTab(section),
+			),
+		);
+
+		this.#activeIndex = this.#tabs.indexOf(activeTab);
+		this.#focusedIndex = this.#tabs.indexOf(focusedTab);
+		if (this.#focusedIndex === -1) {
+			this.#focusedIndex = Math.max(this.#activeIndex, 0);
+		}
+
+		this.#arrangeContainer();
+		this.#contentNodes = this.#getContentNodes();
+
+		if (this.#activeIndex === -1) {
+			if (previousActive) {
+				this.#dispatchLeave(previousActive, 'api');
+			}
+			this.#commitTab(
+				this.#nearestEnabledIndex(
+					Math.min(previousActiveIndex, this.#tabs.length - 1),
+				),
+			);
+		}
+
+		if (hadFocus && !this.#tabs.includes(this.shadowRoot.activeElement)) {
+			this.#tabs[this.#focusedIndex].focus();
+		}
+	}
+
+	#updateTab(entry, section) {
+		const previousSection = entry.section;
+		section.key = previousSection.key;
+		entry.section = section;
+
+		// Cloned content only needs refreshing when it would look different
+		const headingChanged = section.heading !== previousSection.heading;
+		const contentChanged =
+			section.content.length !== previousSection.content.length ||
+			section.content.some((node, index) => {
+				const previousNode = previousSection.content[index];
+				return (
+					node !== previousNode &&
+					(this.liveContent || !node.isEqualNode(previousNode))
+				);
+			});
+
+		if (headingChanged) {
+			entry.hasCustomTitle = this.#renderTabLabel(
+				entry.tab,
+				section.heading,
+			);
+		}
+		if (headingChanged || contentChanged) {
+			entry.panel.replaceChildren();
+			entry.panelHeading = this.#fillPanel(section, entry.panel);
+		}
+
+		return entry;
+	}
+
+	#createTab(section, rendered = null) {
+		// Keys stay with a tab when others are added, removed or moved, so
+		// ids and slot names never collide
+		const key = this.#nextTabKey++;
+		const tabId = `${this.id}-tab-${key}`;
+		const panelId = `${this.id}-panel-${key}`;
+		section.key = key;
+
+		// Hydration adopts the server-rendered tab and panel
+		const tab = rendered?.tab || document.createElement('button');
+		tab.setAttribute('id', tabId);
+		tab.setAttribute('aria-controls', panelId);
+		const hasCustomTitle = this.#renderTabLabel(tab, section.heading);
+
+		// Clicking focuses the tab first, so note how focus arrived
+		tab.addEventListener('pointerdown', () => {
+			this.#pointerFocus = true;
+		});
+		tab.addEventListener('focus', () => {
+			const trigger = this.#pointerFocus ? 'click' : 'keyboard';
+			this.#pointerFocus = false;
+			this.#focusedIndex = this.#tabs.indexOf(tab);
+			if (this.autoActivate && !this.#collapsed) {
+				this.#activateTab(this.#focusedIndex, trigger);
+			}
+		});
+		tab.addEventListener('click', () => {
+			this.#pointerFocus = false;
+			this.#activateTab(this.#tabs.indexOf(tab), 'click');
+		});
+		tab.addEventListener('keydown', (e) =>
+			this.#handleKeydown(e, this.#tabs.indexOf(tab)),
+		);
+		tab.addEventListener('dragstart', (e) => this.#handleDragStart(e, tab));
+		tab.addEventListener('dragover', (e) => this.#handleDragOver(e));
+		tab.addEventListener('drop', (e) => this.#handleDrop(e, tab));
+		tab.addEventListener('dragend', () => {
+			this.#dragIndex = -1;
+		});
+
+		const accordionHeading = document.createElement('div');
+		accordionHeading.setAttribute('role', 'heading');
+		accordionHeading.setAttribute('aria-level', this.#headingLevel);
+		accordionHeading.className = 'accordion-heading';
+
+		const panel = rendered?.panel || document.createElement('div');
+		panel.setAttribute('role', 'tabpanel');
+		panel.setAttribute('part', 'tabpanel');
+		panel.setAttribute('id', panelId);
+		panel.setAttribute('aria-labelledby', tabId);
+		panel.setAttribute('hidden', '');
+		panel.addEventListener('beforematch', () => this.#revealMatch(panel));
+
+		const panelHeading = rendered
+			? panel.firstElementChild
+			: this.#fillPanel(section, panel);
+
+		return {
+			section,
+			tab,
+			panel,
+			panelHeading,
+			accordionHeading,
+			hasCustomTitle,
+		};
+	}
+
+	#fillPanel(section, panel) {
+		const { key } = section;
+		let panelHeading;
+		if (this.liveContent) {
+			panelHeading = this.#projectSection(section, panel, key);
+		} else {
+			panelHeading = section.heading.cloneNode(true);
+			panelHeading.dataset.originalId = section.heading.id || '';
+			panel.appendChild(panelHeading);
+
+			section.content.forEach((node, nodeIndex) =>
+				this.#appendPanelNode(panel, node, `panel-${key}-${nodeIndex}`),
+			);
+		}
+
+		if (
+			!this.showHeaders &&
+			!this.expanded &&
+			!section.heading.dataset.tabShortName
+		) {
+			panelHeading.classList.add('visually-hidden');
+		}
+
+		return panelHeading;
+	}
+
+	#renderTabLabel(tab, heading) {
+		const {
+			tabShortName: customTitle,
+			tabIcon: icon,
+			tabBadge: badge,
+			tabBadgeLabel: badgeLabel,
+			tabDescription: description,
+		} = heading.dataset;
+		if (customTitle && this.#textShortNames.has(heading)) {
+			tab.textContent = customTitle;
+		} else {
+			tab.innerHTML = customTitle || heading.innerHTML;
+		}
+
+		if (icon) {
+			// Icons are decorative; the label already names the tab
+			const iconElement = document.createElement('span');
+			iconElement.className = 'tab-icon';
+			iconElement.setAttribute('part', 'tab-icon');
+			iconElement.setAttribute('aria-hidden', 'true');
+			const template = this.#findById(icon);
+			if (template instanceof HTMLTemplateElement) {
+				iconElement.appendChild(template.content.cloneNode(true));
+			} else {
+				iconElement.textContent = icon;
+			}
+			tab.prepend(iconElement);
+		}
+
+		// The badge is read as part of the name, e.g. "Inbox (3 unread)"
+		const spokenBadge = badge ? ` (${badgeLabel || badge})` : '';
+		if (badge) {
+			const badgeElement = document.createElement('span');
+			badgeElement.className = 'tab-badge';
+			badgeElement.setAttribute('part', 'tab-badge');
+			badgeElement.setAttribute('aria-hidden', 'true');
+			badgeElement.textContent = badge;
+			tab.appendChild(badgeElement);
+
+			if (!customTitle) {
+				const spokenElement = document.createElement('span');
+				spokenElement.className = 'visually-hidden';
+				spokenElement.textContent = spokenBadge;
+				tab.appendChild(spokenElement);
+			}
+		}
+
+		if (description) {
+			const descriptionElement = document.createElement('span');
+			descriptionElement.className = 'tab-description';
+			descriptionElement.id = `${tab.id}-description`;
+			descriptionElement.setAttribute('part', 'tab-description');
+			descriptionElement.setAttribute('aria-hidden', 'true');
+			descriptionElement.textContent = description;
+			tab.appendChild(descriptionElement);
+			tab.setAttribute('aria-describedby', descriptionElement.id);
+		} else {
+			tab.removeAttribute('aria-describedby');
+		}
+
+		if (customTitle) {
+			tab.setAttribute(
+				'aria-label',
+				heading.textContent.trim() + spokenBadge,
+			);
+			tab.setAttribute('title', '');
+		} else {
+			tab.removeAttribute('aria-label');
+			tab.removeAttribute('title');
+		}
+
+		return Boolean(customTitle);
+	}
+
+	#refreshTabLabel(index) {
+		this.#hasCustomTitle[index] = this.#renderTabLabel(
+			this.#tabs[index],
+			this.#headings[index],
+		);
+		// Rendering the label replaces the close control too
+		this.#syncTabState(index);
+		this.#updateOverflow();
+	}
+
+	#spliceTabs(start, deleteCount, ...entries) {
+		const removed = this.#sections
+			.slice(start, start + deleteCount)
+			.map((section, offset) => ({
+				section,
+				tab: this.#tabs[start + offset],
+				panel: this.#tabpanels[start + offset],
+				panelHeading: this.#panelHeadings[start + offset],
+				accordionHeading: this.#accordionHeadings[start + offset],
+				hasCustomTitle: this.#hasCustomTitle[start + offset],
+			}));
+
+		const pick = (field) => entries.map((entry) => entry[field]);
+		this.#sections.splice(start, deleteCount, ...pick('section'));
+		this.#headings.splice(
+			start,
+			deleteCount,
+			...entries.map((entry) => entry.section.heading),
+		);
+		this.#tabs.splice(start, deleteCount, ...pick('tab'));
+		this.#tabpanels.splice(start, deleteCount, ...pick('panel'));
+		this.#panelHeadings.splice(start, deleteCount, ...pick('panelHeading'));
+		this.#accordionHeadings.splice(
+			start,
+			deleteCount,
+			...pick('accordionHeading'),
+		);
+		this.#hasCustomTitle.splice(
+			start,
+			deleteCount,
+			...pick('hasCustomTitle'),
+		);
+
+		return removed;
+	}
+
+	#getContentNodes() {
+		// Slotted content is spread across named slots, so read it from the host
+		return Array.from(this.childNodes).flatMap((node) => {
+			if (node.nodeType !== Node.ELEMENT_NODE) {
+				return [node];
+			}
+			if (node.slot && !PANEL_SLOT_PATTERN.test(node.slot)) {
+				return [];
+			}
+			// Flatten slots forwarded from an enclosing shadow root
+			if (node.localName === 'slot' && !this.liveContent) {
+				return node.assignedNodes({ flatten: true });
+			}
+			return [node];
+		});
+	}
+
+	#hasContentChanged() {
+		const nodes = this.#getContentNodes();
+		return (
+			nodes.length !== this.#contentNodes.length ||
+			nodes.some((node, index) => node !== this.#contentNodes[index])
+		);
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	#projectSection(section, panel, key) {
+		const headingSlotName = `heading-${key}`;
+		const panelSlotName = `panel-${key}`;
+
+		section.heading.setAttribute('slot', headingSlotName);
+		section.content.forEach((node) => {
+			node.setAttribute('slot', panelSlotName);
+		});
+
+		const headingWrapper = document.createElement('div');
+		const headingSlot = document.createElement('slot');
+		headingSlot.name = headingSlotName;
+		headingWrapper.appendChild(headingSlot);
+
+		const panelSlot = document.createElement('slot');
+		panelSlot.name = panelSlotName;
+
+		panel.appendChild(headingWrapper);
+		panel.appendChild(panelSlot);
+
+		return headingWrapper;
+	}
+
+	#appendPanelNode(panel, node, slotName) {
+		// Cloning a nested tabbed interface would reset it, and cloned form
+		// controls would leave the outer form, so project those from the
+		// light DOM instead
+		if (
+			this.#containsSelector(node, this.localName) ||
+			this.#containsSelector(node, FORM_CONTROL_SELECTOR)
+		) {
+			const projectedSlot = document.createElement('slot');
+			projectedSlot.name = slotName;
+			node.setAttribute('slot', slotName);
+			panel.appendChild(projectedSlot);
+		} else {
+			panel.appendChild(node.cloneNode(true));
+		}
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	#containsSelector(node, selector) {
+		return (
+			node.nodeType === Node.ELEMENT_NODE &&
+			(node.matches(selector) || Boolean(node.querySelector(selector)))
+		);
+	}
+
+	#findSectionIndex(node) {
+		return this.#sections.findIndex((section) =>
+			section.content.some((contentNode) => contentNode.contains(node)),
+		);
+	}
+
+	#getInvalidControls(index) {
+		return this.#sections[index].content.flatMap((node) =>
+			node.nodeType === Node.ELEMENT_NODE
+				? [
+						node,
+						...node.querySelectorAll(FORM_CONTROL_SELECTOR),
+					].filter(
+						(control) =>
+							control.matches(FORM_CONTROL_SELECTOR) &&
+							control.willValidate &&
+							!control.validity.valid,
+					)
+				: [],
+		);
+	}
+
+	#releaseSlottedContent() {
+		Array.from(this.children).forEach((child) => {
+			if (PANEL_SLOT_PATTERN.test(child.slot)) {
+				child.removeAttribute('slot');
+			}
+		});
+	}
+
+	#parseContentIntoSections(nodes, headingTag) {
+		const sections = [];
+		let currentSection = null;
+
+		for (const node of nodes) {
+			if (node.nodeType === Node.ELEMENT_NODE) {
+				if (node.tagName.toLowerCase() === headingTag) {
+					// Start a new section
+					if (currentSection) {
+						sections.push(currentSection);
+					}
+					currentSection = {
+						heading: node,
+						content: [],
+					};
+				} else if (currentSection) {
+					currentSection.content.push(node);
+				}
+			} else if (
+				node.nodeType === Node.TEXT_NODE &&
+				node.textContent.trim() &&
+				currentSection
+			) {
+				// Wrap text nodes in a span
+				const span = document.createElement('span');
+				if (this.liveContent) {
+					// Keep the original text node so it can be slotted
+					node.before(span);
+					span.appendChild(node);
+				} else {
+					span.textContent = node.textContent;
+				}
+				currentSection.content.push(span);
+			}
+		}
+
+		// Don't forget the last section
+		if (currentSection) {
+			sections.push(currentSection);
+		}
+
+		return sections;
+	}
+
+	#activateTab(index, trigger = 'api') {
+		if (index < 0 || index >= this.#tabs.length) return false;
+		if (index === this.#activeIndex && this.#initialized) return true;
+		if (this.#isDisabled(index)) return false;
+
+		// Give listeners a chance to keep the current tab
+		if (this.#initialized) {
+			const beforeChange = new CustomEvent(
+				'tabbed-interface:beforechange',
+				{
+					detail: {
+						currentIndex: this.#activeIndex,
+						requestedIndex: index,
+					},
+					bubbles: true,
+					composed: true,
+					cancelable: true,
+				},
+			);
+			if (!this.dispatchEvent(beforeChange)) {
+				return false;
+			}
+		}
+
+		this.#commitTab(index, trigger);
+		return true;
+	}
+
+	#commitTab(index, trigger = 'api') {
+		const previousIndex = this.#activeIndex;
+		// Nothing was shown before the first activation
+		const previous =
+			this.#initialized && this.#tabs[previousIndex]
+				? this.#describeTab(previousIndex)
+				: null;
+		if (previous) {
+			this.#dispatchLeave(previous, trigger);
+		}
+
+		this.#activeIndex = index;
+		this.#focusedIndex = index;
+		this.#startDwell();
+
+		// Deactivate current tab
+		if (this.#tabs[previousIndex]) {
+			this.#syncTabState(previousIndex);
+		}
+
+		// Activate new tab
+		this.#syncTabState(index);
+		this.#runTransition(previousIndex, index);
+
+		// Dispatch change event
+		this.#dispatchTabEvent('change', {
+			...this.#describeTab(index),
+			tabpanelId: this.#tabpanels[index].id,
+			previousIndex: previous ? previous.tabIndex : -1,
+			previousTabId: previous?.tabId ?? null,
+			previousHeadingId: previous?.headingId ?? null,
+			previousLabel: previous?.label ?? null,
+			trigger,
+		});
+
+		this.#updateOverflow();
+		this.#scrollTabIntoView(index);
+		this.#loadPanel(index);
+		this.#writeUrlState(index);
+		this.#writePersistedTab(index);
+	}
+
+	#describeTab(index) {
+		return {
+			tabId: this.#tabs[index].id,
+			headingId: this.#headings[index].id || null,
+			label: this.#getTabLabel(index),
+			tabIndex: index,
+		};
+	}
+
+	// Dwell time only counts while the page is visible
+	#startDwell() {
+		this.#dwellStart = document.hidden ? null : performance.now();
+	}
+
+	// Unloading the page doesn't disconnect the element, so hiding it is
+	// the last chance to report; showing it again starts a new visit
+	#onPageHide = () => {
+		if (this.#tabs[this.#activeIndex]) {
+			this.#dispatchLeave(this.#describeTab(this.#activeIndex), 'hidden');
+		}
+		this.#dwellStart = null;
+	};
+
+	#onVisibilityChange = () => {
+		if (document.hidden) {
+			this.#onPageHide();
+		} else if (this.#dwellStart === null) {
+			this.#startDwell();
+		}
+	};
+
+	#dispatchLeave(tab, trigger) {
+		// Hiding the page already reported the visit
+		if (this.#dwellStart === null) {
+			return;
+		}
+		this.#dispatchTabEvent('leave', {
+			...tab,
+			duration: Math.round(performance.now() - this.#dwellStart),
+			trigger,
+		});
+	}
+
+	#runTransition(from, to) {
+		this.#cancelTransition();
+
+		const mode = this.transition;
+		const outgoing = this.#tabpanels[from];
+		const incoming = this.#tabpanels[to];
+		if (!mode || !this.#initialized || !outgoing) {
+			return;
+		}
+
+		const transition = {};
+		this.#transition = transition;
+		const finish = () => {
+			if (this.#transition !== transition) {
+				return;
+			}
+			this.#transition = null;
+			this.#dispatchTabEvent('transitionend', {
+				tabIndex: to,
+				previousIndex: from,
+				transition: mode,
+			});
+		};
+
+		const reducedMotion =
+			typeof matchMedia === 'function' &&
+			matchMedia('(prefers-reduced-motion: reduce)').matches;
+		const supported =
+			mode === 'view'
+				? typeof document.startViewTransition === 'function'
+				: typeof incoming.animate === 'function';
+		if (reducedMotion || !supported || this.#collapsed || this.expanded) {
+			finish();
+			return;
+		}
+
+		// Keep showing the outgoing panel until it has animated out (or,
+		// for view transitions, until the old state has been captured)
+		this.#setPanelHidden(from, false);
+		this.#setPanelHidden(to, true);
+
+		if (mode === 'view') {
+			transition.viewTransition = document.startViewTransition(() =>
+				this.#syncPanelVisibility(),
+			);
+			transition.viewTransition.finished.then(finish, finish);
+			return;
+		}
+
+		const duration = this.#getTransitionDuration();
+		const [outFrames, inFrames] = this.#getTransitionKeyframes(
+			mode,
+			from,
+			to,
+		);
+		transition.animation = outgoing.animate(outFrames, {
+			duration,
+			easing: 'ease-in',
+		});
+		transition.animation.finished
+			.then(() => {
+				if (this.#transition !== transition) {
+					return undefined;
+				}
+				this.#syncPanelVisibility();
+				transition.animation = incoming.animate(inFrames, {
+					duration,
+					easing: 'ease-out',
+				});
+				return transition.animation.finished.then(finish);
+			})
+			.catch(() => {
+				// Canceled by a newer tab switch
+			});
+	}
+
+	#cancelTransition() {
+		const transition = this.#transition;
+		if (!transition) {
+			return;
+		}
+
+		this.#transition = null;
+		transition.animation?.cancel();
+		transition.viewTransition?.skipTransition();
+		this.#syncPanelVisibility();
+	}
+
+	#syncPanelVisibility() {
+		this.#tabpanels.forEach((panel, index) =>
+			this.#setPanelHidden(
+				index,
+				index !== this.#activeIndex && !this.expanded,
+			),
+		);
+	}
+
+	// Where the browser supports hidden="until-found", find-in-page can
+	// still match text in hidden panels; disabled panels stay fully hidden
+	#setPanelHidden(index, hidden) {
+		const panel = this.#tabpanels[index];
+		if (!hidden) {
+			panel.removeAttribute('hidden');
+			return;
+		}
+
+		const untilFound = 'onbeforematch' in panel && !this.#isDisabled(index);
+		panel.setAttribute('hidden', untilFound ? 'until-found' : '');
+	}
+
+	// Find-in-page is about to reveal a match in a hidden panel
+	#revealMatch(panel) {
+		const index = this.#tabpanels.indexOf(panel);
+		if (index === -1 || this.#activateTab(index, 'find')) {
+			return;
+		}
+
+		// The browser removes the hidden attribute after this event, so
+		// hide the panel again when the switch was canceled
+		requestAnimationFrame(() => {
+			if (this.#tabpanels[index] === panel) {
+				this.#syncTabState(index);
+			}
+		});
+	}
+
+	// Collects the text a panel displays, following its slots into the
+	// light DOM
+	#getPanelTextNodes(index) {
+		const textNodes = [];
+		const collect = (node) => {
+			if (node.nodeType === Node.TEXT_NODE) {
+				textNodes.push(node);
+			} else if (node.localName === 'slot') {
+				node.assignedNodes({ flatten: true }).forEach(collect);
+			} else if (!['script', 'style'].includes(node.localName)) {
+				node.childNodes.forEach(collect);
+			}
+		};
+		collect(this.#tabpanels[index]);
+		return textNodes;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	#findTextRanges(textNodes, needle) {
+		const ranges = [];
+		textNodes.forEach((node) => {
+			const text = node.data.toLowerCase();
+			let start = text.indexOf(needle);
+			while (start !== -1) {
+				const range = document.createRange();
+				range.setStart(node, start);
+				range.setEnd(node, start + needle.length);
+				ranges.push(range);
+				start = text.indexOf(needle, start + needle.length);
+			}
+		});
+		return ranges;
+	}
+
+	// The CSS Custom Highlight API marks text without changing the DOM.
+	// Instances share one highlight, so each removes only its own ranges.
+	#highlightRanges(ranges) {
+		if (typeof Highlight !== 'function' || !globalThis.CSS?.highlights) {
+			return;
+		}
+
+		let highlight = CSS.highlights.get(SEARCH_HIGHLIGHT);
+		if (!highlight) {
+			highlight = new Highlight();
+			CSS.highlights.set(SEARCH_HIGHLIGHT, highlight);
+		}
+		this.#searchRanges.forEach((range) => highlight.delete(range));
+		ranges.forEach((range) => highlight.add(range));
+		this.#searchRanges = ranges;
+	}
+
+	#getTransitionDuration() {
+		const value = getComputedStyle(this)
+			.getPropertyValue('--tabbed-interface-transition-duration')
+			.trim();
+		let duration = NaN;
+		if (value.endsWith('ms')) {
+			duration = parseFloat(value);
+		} else if (value.endsWith('s')) {
+			duration = parseFloat(value) * 1000;
+		}
+		return Number.isFinite(duration) ? duration : 150;
+	}
+
+	#getTransitionKeyframes(mode, from, to) {
+		if (mode !== 'slide') {
+			return [
+				[{ opacity: 1 }, { opacity: 0 }],
+				[{ opacity: 0 }, { opacity: 1 }],
+			];
+		}
+
+		// Slide away from the tab being navigated to
+		const vertical = this.orientation === 'vertical';
+		let direction = to > from ? 1 : -1;
+		if (!vertical && this.#isRtl()) {
+			direction = -direction;
+		}
+		const axis = vertical ? 'translateY' : 'translateX';
+
+		return [
+			[
+				{ opacity: 1, transform: 'none' },
+				{ opacity: 0, transform: `${axis}(${-direction * 2}rem)` },
+			],
+			[
+				{ opacity: 0, transform: `${axis}(${direction * 2}rem)` },
+				{ opacity: 1, transform: 'none' },
+			],
+		];
+	}
+
+	// Every panel is visible in the linear view, so load them all
+	#loadExpandedPanels() {
+		if (this.expanded) {
+			this.#tabs.forEach((tab, index) => this.#loadPanel(index));
+		}
+	}
+
+	async #loadPanel(index) {
+		const heading = this.#headings[index];
+		const src = heading.getAttribute('data-tab-src');
+		const template = heading.getAttribute('data-tab-template');
+
+		// Lazy content is left for the client to load after hydration
+		if (
+			this.#serverRendering ||
+			(!src && !template) ||
+			heading.hasAttribute('data-tab-loaded') ||
+			this.#pendingLoads.has(heading)
+		) {
+			return;
+		}
+
+		this.#pendingLoads.add(heading);
+
+		const panel = this.#tabpanels[index];
+		const status = document.createElement('div');
+		status.setAttribute('part', 'loading');
+		status.textContent = this.#strings.loading;
+		panel.querySelector('[part="error"]')?.remove();
+		panel.appendChild(status);
+		panel.setAttribute('aria-busy', 'true');
+
+		const detail = { tabIndex: index, tabpanelId: panel.id, src, template };
+		this.#dispatchTabEvent('loadstart', detail);
+
+		try {
+			const fragment = src
+				? await this.#fetchFragment(src)
+				: this.#stampTemplate(template);
+
+			// Tabs may have been rebuilt while the content was loading
+			const currentIndex = this.#headings.indexOf(heading);
+			if (currentIndex !== -1) {
+				this.#insertLoadedContent(currentIndex, fragment);
+				detail.tabIndex = currentIndex;
+			}
+			heading.setAttribute('data-tab-loaded', '');
+			status.remove();
+			this.#dispatchTabEvent('load', detail);
+		} catch (error) {
+			status.setAttribute('part', 'error');
+			status.setAttribute('role', 'alert');
+			status.textContent = this.#strings.loadError;
+			this.#dispatchTabEvent('loaderror', { ...detail, error });
+		} finally {
+			this.#pendingLoads.delete(heading);
+			panel.removeAttribute('aria-busy');
+		}
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	async #fetchFragment(src) {
+		const response = await fetch(src);
+		if (!response.ok) {
+			throw new Error(
+				`Failed to load ${src}: ${response.status} ${response.statusText}`,
+			);
+		}
+
+		const template = document.createElement('template');
+		template.innerHTML = await response.text();
+		return template.content;
+	}
+
+	#stampTemplate(id) {
+		const template = this.#findById(id);
+		if (!(template instanceof HTMLTemplateElement)) {
+			throw new Error(`No <template> found with id "${id}"`);
+		}
+		return template.content.cloneNode(true);
+	}
+
+	// Templates can sit next to the element inside another component's
+	// shadow root, where the document can't see them
+	#findById(id) {
+		return (
+			this.getRootNode().getElementById?.(id) ||
+			document.getElementById(id)
+		);
+	}
+
+	#insertLoadedContent(index, fragment) {
+		const section = this.#sections[index];
+		const nodes = this.#toSectionContent(fragment.childNodes);
+
+		// The light DOM stays the source of truth, so the loaded content
+		// survives rebuilds and isn't fetched again
+		if (this.liveContent) {
+			nodes.forEach((node) =>
+				node.setAttribute('slot', `panel-${section.key}`),
+			);
+		} else {
+			nodes.forEach((node, nodeIndex) =>
+				this.#appendPanelNode(
+					this.#tabpanels[index],
+					node,
+					`panel-${section.key}-${section.content.length + nodeIndex}`,
+				),
+			);
+		}
+
+		const lastNode = section.content.at(-1) || section.heading;
+		lastNode.after(...nodes);
+		section.content.push(...nodes);
+		this.#contentNodes = this.#getContentNodes();
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	#toSectionContent(nodes) {
+		// Bare text can't carry a slot attribute, so wrap it
+		return Array.from(nodes)
+			.filter(
+				(node) =>
+					node.nodeType === Node.ELEMENT_NODE ||
+					(node.nodeType === Node.TEXT_NODE &&
+						node.textContent.trim()),
+			)
+			.map((node) => {
+				if (node.nodeType !== Node.TEXT_NODE) {
+					return node;
+				}
+				const span = document.createElement('span');
+				span.appendChild(node);
+				return span;
+			});
+	}
+
+	#dispatchTabEvent(type, detail) {
+		if (this.#serverRendering) {
+			return;
+		}
+		this.dispatchEvent(
+			new CustomEvent(`tabbed-interface:${type}`, {
+				detail,
+				bubbles: true,
+				composed: true,
+			}),
+		);
+	}
+
+	#syncTabState(index) {
+		const tab = this.#tabs[index];
+		const panel = this.#tabpanels[index];
+		const selected = index === this.#activeIndex;
+		// Controls only show as invalid once the form tried to submit
+		const invalidCount = this.#validated
+			? this.#getInvalidControls(index).length
+			: 0;
+		const states = [
+			this.#searchMatches.has(tab) ? ' match' : '',
+			invalidCount > 0 ? ' invalid' : '',
+		].join('');
+
+		// One section stays open, so its accordion button can't collapse it
+		if (this.#isDisabled(index) || (this.#collapsed && selected)) {
+			tab.setAttribute('aria-disabled', 'true');
+		} else {
+			tab.removeAttribute('aria-disabled');
+		}
+
+		if (this.#collapsed) {
+			tab.removeAttribute('role');
+			tab.removeAttribute('aria-selected');
+			tab.removeAttribute('tabindex');
+			tab.setAttribute('aria-expanded', selected ? 'true' : 'false');
+			tab.setAttribute(
+				'part',
+				`${selected ? 'accordion-button expanded' : 'accordion-button'}${states}`,
+			);
+			panel.setAttribute('role', 'region');
+		} else {
+			tab.setAttribute('role', 'tab');
+			tab.removeAttribute('aria-expanded');
+			tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+			tab.setAttribute('tabindex', selected ? '0' : '-1');
+			tab.setAttribute(
+				'part',
+				`${selected ? 'tab selected' : 'tab'}${states}`,
+			);
+			// Without a visible tab list, expanded panels are plain regions
+			panel.setAttribute('role', this.expanded ? 'region' : 'tabpanel');
+		}
+
+		this.#setPanelHidden(index, !selected && !this.expanded);
+
+		if (this.reorderable) {
+			tab.setAttribute('draggable', 'true');
+		} else {
+			tab.removeAttribute('draggable');
+		}
+
+		this.#syncCloseControl(index);
+		this.#syncErrorIndicator(index, invalidCount);
+	}
+
+	#syncErrorIndicator(index, invalidCount) {
+		const tab = this.#tabs[index];
+		const indicatorId = `${tab.id}-error`;
+		let indicator = tab.querySelector('.tab-error');
+
+		if (invalidCount > 0) {
+			if (!indicator) {
+				indicator = document.createElement('span');
+				indicator.className = 'tab-error';
+				indicator.setAttribute('part', 'tab-error');
+				indicator.setAttribute('aria-hidden', 'true');
+				indicator.innerHTML = '<span class="visually-hidden"></span>';
+				// Keep it before the close control
+				tab.insertBefore(indicator, tab.querySelector('.tab-close'));
+			}
+			indicator.id = indicatorId;
+			indicator.firstChild.textContent =
+				this.#strings.invalidFields(invalidCount);
+		} else {
+			indicator?.remove();
+		}
+
+		// Share aria-describedby with the tab description
+		const descriptions = (tab.getAttribute('aria-describedby') || '')
+			.split(/\s+/)
+			.filter((id) => id && id !== indicatorId);
+		if (invalidCount > 0) {
+			descriptions.push(indicatorId);
+		}
+		if (descriptions.length > 0) {
+			tab.setAttribute('aria-describedby', descriptions.join(' '));
+		} else {
+			tab.removeAttribute('aria-describedby');
+		}
+	}
+
+	#syncCloseControl(index) {
+		const tab = this.#tabs[index];
+		const closable = this.#isClosable(index);
+		const control = tab.querySelector('.tab-close');
+
+		// A button can't be nested in the tab, so the control is a pointer
+		// target and keyboard users press Delete instead
+		if (closable && !control) {
+			const closeControl = document.createElement('span');
+			closeControl.className = 'tab-close';
+			closeControl.setAttribute('part', 'tab-close');
+			closeControl.setAttribute('aria-hidden', 'true');
+			closeControl.textContent = '×';
+			closeControl.addEventListener('click', (event) => {
+				event.stopPropagation();
+				this.#closeTab(this.#tabs.indexOf(tab), 'click');
+			});
+			tab.appendChild(closeControl);
+		} else if (!closable && control) {
+			control.remove();
+		}
+		tab.querySelector('.tab-close')?.setAttribute(
+			'title',
+			this.#strings.close,
+		);
+
+		if (closable) {
+			tab.setAttribute('aria-keyshortcuts', 'Delete');
+		} else {
+			tab.removeAttribute('aria-keyshortcuts');
+		}
+	}
+
+	#handleDragStart(event, tab) {
+		if (!this.reorderable) {
+			return;
+		}
+		this.#dragIndex = this.#tabs.indexOf(tab);
+		if (event.dataTransfer) {
+			event.dataTransfer.effectAllowed = 'move';
+			// Some browsers only start a drag when data is set
+			event.dataTransfer.setData('text/plain', tab.id);
+		}
+	}
+
+	#handleDragOver(event) {
+		// Only accept tabs dragged from this instance
+		if (this.#dragIndex === -1) {
+			return;
+		}
+		event.preventDefault();
+		if (event.dataTransfer) {
+			event.dataTransfer.dropEffect = 'move';
+		}
+	}
+
+	#handleDrop(event, tab) {
+		if (this.#dragIndex === -1) {
+			return;
+		}
+		event.preventDefault();
+		const from = this.#dragIndex;
+		this.#dragIndex = -1;
+		this.#reorderTab(from, this.#tabs.indexOf(tab));
+	}
+
+	#reorderTab(from, to) {
+		if (from === to || !this.moveTab(from, to)) {
+			return;
+		}
+
+		this.#announce(
+			this.#strings.moved(
+				this.#getTabLabel(to),
+				to + 1,
+				this.#tabs.length,
+			),
+		);
+		this.#dispatchTabEvent('reorder', {
+			order: this.#headings.map((item) => item.id || null),
+			from,
+			to,
+		});
+	}
+
+	#getTabLabel(index) {
+		const heading = this.#headings[index];
+		return heading.dataset.tabShortName || heading.textContent.trim();
+	}
+
+	#announce(message) {
+		if (this.#liveRegion) {
+			this.#liveRegion.textContent = message;
+		}
+	}
+
+	#closeTab(index, trigger) {
+		if (!this.#isClosable(index)) {
+			return false;
+		}
+
+		const close = new CustomEvent('tabbed-interface:close', {
+			detail: {
+				tabId: this.#tabs[index].id,
+				headingId: this.#headings[index].id || null,
+				tabIndex: index,
+			},
+			bubbles: true,
+			composed: true,
+			cancelable: true,
+		});
+		if (!this.dispatchEvent(close)) {
+			return false;
+		}
+
+		return this.#removeTab(index, trigger);
+	}
+
+	#handleKeydown(event, tabIndex) {
+		const key = event.key;
+
+		// Only the arrow keys along the tablist's axis move between tabs,
+		// and right-to-left text flips the horizontal ones
+		const vertical = this.#collapsed || this.orientation === 'vertical';
+		const rtl = !vertical && this.#isRtl();
+		let previousKey = rtl ? 'ArrowRight' : 'ArrowLeft';
+		let nextKey = rtl ? 'ArrowLeft' : 'ArrowRight';
+		if (vertical) {
+			previousKey = 'ArrowUp';
+			nextKey = 'ArrowDown';
+		}
+
+		if (key === 'Delete' && this.#isClosable(tabIndex)) {
+			event.preventDefault();
+			this.#closeTab(tabIndex, 'keyboard');
+			return;
+		}
+
+		if (
+			this.reorderable &&
+			event.ctrlKey &&
+			event.shiftKey &&
+			(key === previousKey || key === nextKey)
+		) {
+			event.preventDefault();
+			const targetIndex = tabIndex + (key === nextKey ? 1 : -1);
+			if (targetIndex >= 0 && targetIndex < this.#tabs.length) {
+				this.#reorderTab(tabIndex, targetIndex);
+			}
+			return;
+		}
+
+		if (this.#collapsed) {
+			this.#handleAccordionKeydown(event, tabIndex);
+			return;
+		}
+
+		switch (key) {
+			case previousKey:
+				event.preventDefault();
+				this.#navigatePrevious();
+				break;
+			case nextKey:
+				event.preventDefault();
+				this.#navigateNext();
+				break;
+			case 'Home':
+				event.preventDefault();
+				this.#navigateFirst();
+				break;
+			case 'End':
+				event.preventDefault();
+				this.#navigateLast();
+				break;
+			case 'Enter':
+			case ' ':
+				event.preventDefault();
+				// If auto-activate is disabled, activate the tab on Enter/Space
+				if (
+					!this.autoActivate &&
+					!this.#activateTab(this.#focusedIndex, 'keyboard')
+				) {
+					break;
+				}
+				// Focus the first focusable element (or nested tabbed
+				// interface) in the active panel
+				const focusable = this.#queryPanel(
+					this.#activeIndex,
+					`${FOCUSABLE_SELECTOR}, ${this.localName}`,
+				);
+				if (focusable) {
+					focusable.focus();
+				}
+				break;
+		}
+	}
+
+	#handleAccordionKeydown(event, tabIndex) {
+		let targetIndex;
+
+		// Enter and Space fall through to the native button click
+		switch (event.key) {
+			case 'ArrowUp':
+				targetIndex = this.#stepIndex(tabIndex, -1);
+				break;
+			case 'ArrowDown':
+				targetIndex = this.#stepIndex(tabIndex, 1);
+				break;
+			case 'Home':
+				targetIndex = this.#stepIndex(-1, 1);
+				break;
+			case 'End':
+				targetIndex = this.#stepIndex(this.#tabs.length, -1);
+				break;
+			default:
+				return;
+		}
+
+		event.preventDefault();
+		this.#focusedIndex = targetIndex;
+		this.#tabs[targetIndex].focus();
+	}
+
+	#getPanelRoots(index) {
+		const panel = this.#tabpanels[index];
+		if (!panel) {
+			return [];
+		}
+
+		const slotted = Array.from(panel.querySelectorAll('slot'))
+			.filter((slot) => slot.name.startsWith('panel-'))
+			.flatMap((slot) => slot.assignedElements());
+
+		return this.liveContent ? slotted : [panel, ...slotted];
+	}
+
+	#queryPanel(index, selector) {
+		for (const root of this.#getPanelRoots(index)) {
+			if (root.matches(selector)) {
+				return root;
+			}
+			const match = root.querySelector(selector);
+			if (match) {
+				return match;
+			}
+		}
+		return null;
+	}
+
+	#navigateNext() {
+		if (this.#tabs.length === 0) {
+			return;
+		}
+		const currentFocus = this.autoActivate
+			? this.#activeIndex
+			: this.#focusedIndex;
+		this.#navigateTo(this.#stepIndex(currentFocus, 1));
+	}
+
+	#navigatePrevious() {
+		if (this.#tabs.length === 0) {
+			return;
+		}
+		const currentFocus = this.autoActivate
+			? this.#activeIndex
+			: this.#focusedIndex;
+		this.#navigateTo(this.#stepIndex(currentFocus, -1));
+	}
+
+	#navigateFirst() {
+		if (this.#tabs.length === 0) {
+			return;
+		}
+		this.#navigateTo(this.#stepIndex(-1, 1));
+	}
+
+	#navigateLast() {
+		if (this.#tabs.length === 0) {
+			return;
+		}
+		this.#navigateTo(this.#stepIndex(this.#tabs.length, -1));
+	}
+
+	#isDisabled(index) {
+		const heading = this.#headings[index];
+		return Boolean(heading && heading.hasAttribute('data-tab-disabled'));
+	}
+
+	// A heading's data-tab-closable wins over the host's closable attribute
+	#isClosable(index) {
+		const heading = this.#headings[index];
+		if (!heading || this.#isDisabled(index)) {
+			return false;
+		}
+		const value = heading.getAttribute('data-tab-closable');
+		return value === null ? this.closable : value !== 'false';
+	}
+
+	// Walks from `from` in the direction of `step`, wrapping around and
+	// skipping disabled tabs; stays put when every other tab is disabled
+	#stepIndex(from, step) {
+		const count = this.#tabs.length;
+		for (let offset = 1; offset <= count; offset++) {
+			const index = (((from + step * offset) % count) + count) % count;
+			if (!this.#isDisabled(index)) {
+				return index;
+			}
+		}
+		return Math.min(Math.max(from, 0), count - 1);
+	}
+
+	// Ties go to the earlier tab
+	#resolveTabIndex(indexOrId) {
+		if (typeof indexOrId === 'string') {
+			return this.#headings.findIndex(
+				(heading) => heading.id === indexOrId,
+			);
+		}
+		return this.#isTabIndex(indexOrId) ? indexOrId : -1;
+	}
+
+	#isTabIndex(index) {
+		return (
+			Number.isInteger(index) && index >= 0 && index < this.#tabs.length
+		);
+	}
+
+	#nearestEnabledIndex(index) {
+		for (let distance = 0; distance < this.#tabs.length; distance++) {
+			for (const candidate of [index - distance, index + distance]) {
+				if (
+					candidate >= 0 &&
+					candidate < this.#tabs.length &&
+					!this.#isDisabled(candidate)
+				) {
+					return candidate;
+				}
+			}
+		}
+		return index;
+	}
+
+	#navigateTo(index) {
+		if (this.autoActivate) {
+			// A canceled activation leaves focus on the current tab
+			if (!this.#activateTab(index, 'keyboard')) {
+				return;
+			}
+		} else {
+			this.#focusedIndex = index;
+			this.#updateOverflow();
+			this.#scrollTabIntoView(index);
+		}
+		this.#tabs[index].focus();
+	}
+
+	#handleHashChange() {
+		const hash = window.location.hash;
+		if (!hash || !this.#initialized) return;
+
+		const targetId = hash.slice(1);
+
+		// Look for a section heading with this ID
+		for (let i = 0; i < this.#headings.length; i++) {
+			if (this.#headings[i].id === targetId) {
+				if (!this.#activateTab(this.#nearestEnabledIndex(i), 'hash')) {
+					return;
+				}
+				// Scroll to the tablist (or the section's accordion heading)
+				const scrollTarget = this.#collapsed
+					? this.#accordionHeadings[i]
+					: this.#tablist;
+				if (
+					scrollTarget &&
+					typeof scrollTarget.scrollIntoView === 'function'
+				) {
+					scrollTarget.scrollIntoView({ behavior: 'smooth' });
+				}
+				return;
+			}
+		}
+
+		// Otherwise look for any element with this ID inside a panel
+		for (let i = 0; i < this.#tabpanels.length; i++) {
+			const target = this.#queryPanel(i, `#${CSS.escape(targetId)}`);
+			if (target) {
+				// Nested tabbed interfaces reveal their own targets
+				if (
+					this.#activateTab(i, 'hash') &&
+					!this.#isNestedTarget(target)
+				) {
+					this.#revealTarget(target);
+				}
+				return;
+			}
+		}
+	}
+
+	#isNestedTarget(target) {
+		const owner = target.parentElement?.closest(this.localName);
+		return Boolean(owner) && owner !== this;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	#revealTarget(target) {
+		// Like native fragment navigation, move focus to the target so the
+		// next Tab press continues from there
+		if (
+			!target.matches(FOCUSABLE_SELECTOR) &&
+			!target.hasAttribute('tabindex')
+		) {
+			target.setAttribute('tabindex', '-1');
+		}
+
+		if (typeof target.scrollIntoView === 'function') {
+			target.scrollIntoView({ behavior: 'smooth' });
+		}
+		target.focus({ preventScroll: true });
+	}
+
+	#handlePopState() {
+		if (!this.#initialized || !this.syncUrl) {
+			return;
+		}
+		this.#applyUrlState({ fallBackToDefault: true });
+	}
+
+	#applyUrlState({ fallBackToDefault = false } = {}) {
+		this.#restoringUrl = true;
+		try {
+			const hasUrlState =
+				this.syncUrl === 'query'
+					? new URLSearchParams(window.location.search).has(
+							this.#getSyncUrlParam(),
+						)
+					: Boolean(window.location.hash);
+
+			if (hasUrlState) {
+				if (this.syncUrl === 'query') {
+					this.#applyQueryState();
+				} else {
+					this.#handleHashChange();
+				}
+			} else if (fallBackToDefault) {
+				// An entry without URL state is the page as it first loaded
+				this.#activateTab(
+					this.#nearestEnabledIndex(this.#resolveDefaultTab()),
+					'hash',
+				);
+			}
+		} finally {
+			this.#restoringUrl = false;
+		}
+	}
+
+	#applyQueryState() {
+		const value = new URLSearchParams(window.location.search).get(
+			this.#getSyncUrlParam(),
+		);
+		if (value === null) {
+			return;
+		}
+
+		let index = this.#headings.findIndex((heading) => heading.id === value);
+		if (index === -1 && /^\d+$/.test(value)) {
+			index = Number(value);
+		}
+		if (index >= 0 && index < this.#tabs.length) {
+			this.#activateTab(this.#nearestEnabledIndex(index), 'hash');
+		}
+	}
+
+	#getSyncUrlParam() {
+		const param = this.getAttribute('sync-url-param');
+		if (param) {
+			return param;
+		}
+		// An author-provided ID keeps several instances from sharing a key
+		return this.id && this.id !== this.#generatedId ? this.id : 'tab';
+	}
+
+	#writeUrlState(index) {
+		const mode = this.syncUrl;
+		if (!mode || !this.#initialized || this.#restoringUrl) {
+			return;
+		}
+
+		const headingId = this.#headings[index].id;
+		const url = new URL(window.location.href);
+		if (mode === 'query') {
+			url.searchParams.set(
+				this.#getSyncUrlParam(),
+				headingId || String(index),
+			);
+		} else if (headingId) {
+			url.hash = headingId;
+		} else {
+			return;
+		}
+
+		if (url.href === window.location.href) {
+			return;
+		}
+
+		if (this.hasAttribute('sync-url-replace')) {
+			history.replaceState(history.state, '', url);
+		} else {
+			history.pushState(history.state, '', url);
+		}
+	}
+
+	#updateHeaderVisibility() {
+		// The linear view relies on the headings to separate sections
+		const showHeaders = this.showHeaders || this.expanded;
+
+		this.#panelHeadings.forEach((heading, index) => {
+			if (heading) {
+				// If there's a custom tab title, always show the heading in the panel
+				const hasCustomTitle = this.#hasCustomTitle[index];
+
+				if (!showHeaders && !hasCustomTitle) {
+					heading.classList.add('visually-hidden');
+				} else {
+					heading.classList.remove('visually-hidden');
+				}
+			}
+		});
+	}
+
+	#arrangeContainer() {
+		const container = this.shadowRoot.querySelector('#container');
+		if (!container || !this.#tablist) return;
+
+		// Moving a focused button drops focus, so restore it afterwards
+		const focusedTab = this.#tabs.find(
+			(tab) => tab === this.shadowRoot.activeElement,
+		);
+
+		container.classList.toggle('accordion', this.#collapsed);
+		container.dataset.variant = this.variant;
+		const tablistHost = this.#prepareOverflow();
+
+		// Only move the nodes that changed place, since moving a panel
+		// reloads its iframes, stops media and resets its scroll position
+		if (this.#collapsed) {
+			this.#tabs.forEach((tab, index) => {
+				const accordionHeading = this.#accordionHeadings[index];
+				if (tab.parentNode !== accordionHeading) {
+					accordionHeading.appendChild(tab);
+				}
+			});
+			this.#placeChildren(
+				container,
+				this.#tabs.flatMap((tab, index) => [
+					this.#accordionHeadings[index],
+					this.#tabpanels[index],
+				]),
+			);
+		} else {
+			this.#placeChildren(this.#tablist, this.#tabs);
+			this.#placeChildren(
+				container,
+				this.tablistAfter
+					? [...this.#tabpanels, tablistHost]
+					: [tablistHost, ...this.#tabpanels],
+			);
+		}
+
+		this.#tabs.forEach((tab, index) => this.#syncTabState(index));
+		this.#updateOverflow();
+
+		if (focusedTab && this.shadowRoot.activeElement !== focusedTab) {
+			focusedTab.focus();
+		}
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	#placeChildren(parent, nodes) {
+		const wanted = new Set(nodes);
+		Array.from(parent.childNodes).forEach((child) => {
+			if (!wanted.has(child)) {
+				child.remove();
+			}
+		});
+
+		// Keep the longest run of nodes that are already in order and
+		// insert the rest around them
+		const current = Array.from(parent.childNodes);
+		const positions = nodes.map((node) => current.indexOf(node));
+		const runLengths = [];
+		const previous = [];
+		let runEnd = -1;
+		positions.forEach((position, index) => {
+			runLengths[index] = position === -1 ? 0 : 1;
+			previous[index] = -1;
+			if (position === -1) {
+				return;
+			}
+			for (let before = 0; before < index; before++) {
+				if (
+					positions[before] !== -1 &&
+					positions[before] < position &&
+					runLengths[before] + 1 > runLengths[index]
+				) {
+					runLengths[index] = runLengths[before] + 1;
+					previous[index] = before;
+				}
+			}
+			if (runEnd === -1 || runLengths[index] > runLengths[runEnd]) {
+				runEnd = index;
+			}
+		});
 
-		if (sections.length === 0) {
-			container.innerHTML = '';
-			slot.style.display = '';
-			return;
+		const inPlace = new Set();
+		for (let index = runEnd; index !== -1; index = previous[index]) {
+			inPlace.add(index);
 		}
 
-		slot.style.display = 'none';
+		let reference = null;
+		for (let index = nodes.length - 1; index >= 0; index--) {
+			if (!inPlace.has(index)) {
+				parent.insertBefore(nodes[index], reference);
+			}
+			reference = nodes[index];
+		}
+	}
 
-		const baseId = this.id || `tabbed-interface-${this.#generateId()}`;
-		if (!this.id) {
-			this.id = baseId;
+	// Wraps the tablist in a strip with the controls for the overflow
+	// mode, or returns the bare tablist when no overflow handling applies
+	#prepareOverflow() {
+		const mode =
+			this.orientation === 'horizontal' && !this.#collapsed
+				? this.overflow
+				: null;
+
+		if (this.#overflowStrip?.dataset.mode !== mode) {
+			this.#teardownOverflow();
+			if (mode) {
+				this.#overflowStrip = this.#createOverflowStrip(mode);
+			}
 		}
 
-		this.#tablist = document.createElement('div');
-		this.#tablist.setAttribute('role', 'tablist');
-		this.#tablist.setAttribute('part', 'tablist');
+		return this.#overflowStrip || this.#tablist;
+	}
 
-		sections.forEach((section, index) => {
-			const tabId = `${baseId}-tab-${index}`;
-			const panelId = `${baseId}-panel-${index}`;
+	#createOverflowStrip(mode) {
+		const strip = document.createElement('div');
+		strip.className = 'tab-strip';
+		strip.dataset.mode = mode;
+		strip.setAttribute('part', 'tab-strip');
 
-			const tab = document.createElement('button');
-			tab.setAttribute('role', 'tab');
-			tab.setAttribute('part', index === 0 ? 'tab selected' : 'tab');
-			tab.setAttribute('id', tabId);
-			tab.setAttribute('aria-controls', panelId);
-			tab.setAttribute('aria-selected', index === 0 ? 'true' : 'false');
-			tab.setAttribute('tabindex', index === 0 ? '0' : '-1');
-
-			const customTitle = section.heading.dataset.tabShortName;
-			const tabTitle = customTitle || section.heading.innerHTML;
-			tab.innerHTML = tabTitle;
-
-			if (customTitle) {
-				tab.setAttribute(
-					'aria-label',
-					section.heading.textContent.trim(),
+		if (mode === 'scroll') {
+			// Arrow keys already bring tabs into view, so the buttons are
+			// a pointer convenience kept out of the tab order
+			this.#scrollButtons = [-1, 1].map((direction) => {
+				const button = document.createElement('button');
+				button.type = 'button';
+				button.className = 'overflow-button';
+				button.setAttribute('part', 'scroll-button');
+				button.setAttribute('tabindex', '-1');
+				button.setAttribute('aria-hidden', 'true');
+				button.textContent = direction < 0 ? '‹' : '›';
+				button.addEventListener('click', () =>
+					this.#scrollTablist(direction),
 				);
-				tab.setAttribute('title', '');
-			}
-
-			this.#hasCustomTitle.push(Boolean(customTitle));
+				return button;
+			});
+			this.#tablist.addEventListener('scroll', this.#onTablistScroll);
+			strip.append(
+				this.#scrollButtons[0],
+				this.#tablist,
+				this.#scrollButtons[1],
+			);
+		} else {
+			const menuWrapper = document.createElement('div');
+			menuWrapper.className = 'overflow-menu';
 
-			tab.addEventListener('focus', () => {
-				this.#focusedIndex = index;
-				if (this.autoActivate) {
-					this.#activateTab(index);
+			this.#overflowMenuButton = document.createElement('button');
+			this.#overflowMenuButton.type = 'button';
+			this.#overflowMenuButton.className = 'overflow-button';
+			this.#overflowMenuButton.setAttribute('part', 'more-button');
+			this.#overflowMenuButton.setAttribute('aria-haspopup', 'menu');
+			this.#overflowMenuButton.setAttribute('aria-expanded', 'false');
+			this.#overflowMenuButton.textContent = this.#strings.more;
+			this.#overflowMenuButton.addEventListener('click', () =>
+				this.#toggleOverflowMenu(this.#overflowMenu.hidden, 0),
+			);
+			this.#overflowMenuButton.addEventListener('keydown', (e) => {
+				if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+					e.preventDefault();
+					this.#toggleOverflowMenu(
+						true,
+						e.key === 'ArrowUp' ? -1 : 0,
+					);
 				}
 			});
-			tab.addEventListener('click', () => this.#activateTab(index));
-			tab.addEventListener('keydown', (e) =>
-				this.#handleKeydown(e, index),
-			);
 
-			this.#tablist.appendChild(tab);
-			this.#tabs.push(tab);
+			this.#overflowMenu = document.createElement('div');
+			this.#overflowMenu.setAttribute('role', 'menu');
+			this.#overflowMenu.setAttribute('part', 'overflow-menu');
+			this.#overflowMenu.hidden = true;
+			this.#overflowMenu.addEventListener('keydown', (e) =>
+				this.#handleOverflowMenuKeydown(e),
+			);
 
-			const panel = document.createElement('div');
-			panel.setAttribute('role', 'tabpanel');
-			panel.setAttribute('part', 'tabpanel');
-			panel.setAttribute('id', panelId);
-			panel.setAttribute('aria-labelledby', tabId);
-			if (index !== 0) {
-				panel.setAttribute('hidden', '');
-			}
+			menuWrapper.append(this.#overflowMenuButton, this.#overflowMenu);
+			strip.append(this.#tablist, menuWrapper);
+			strip.addEventListener('focusout', (e) => {
+				if (!menuWrapper.contains(e.relatedTarget)) {
+					this.#toggleOverflowMenu(false);
+				}
+			});
+		}
 
-			const clonedHeading = section.heading.cloneNode(true);
-			clonedHeading.dataset.originalId = section.heading.id || '';
+		if (typeof ResizeObserver !== 'undefined') {
+			this.#overflowObserver = new ResizeObserver(() =>
+				this.#updateOverflow(),
+			);
+			this.#overflowObserver.observe(strip);
+		}
 
-			if (!this.showHeaders && !section.heading.dataset.tabShortName) {
-				clonedHeading.classList.add('visually-hidden');
-			}
+		return strip;
+	}
 
-			panel.appendChild(clonedHeading);
+	#teardownOverflow() {
+		if (this.#overflowObserver) {
+			this.#overflowObserver.disconnect();
+			this.#overflowObserver = null;
+		}
+		if (this.#tablist) {
+			this.#tablist.removeEventListener('scroll', this.#onTablistScroll);
+		}
+		this.#tabs.forEach((tab) => {
+			tab.hidden = false;
+		});
+		this.#overflowStrip?.remove();
+		this.#overflowStrip = null;
+		this.#scrollButtons = [];
+		this.#overflowMenuButton = null;
+		this.#overflowMenu = null;
+	}
 
-			section.content.forEach((node) => {
-				panel.appendChild(node.cloneNode(true));
-			});
+	#onTablistScroll = () => {
+		this.#updateOverflow();
+	};
 
-			this.#tabpanels.push(panel);
-		});
+	#updateOverflow() {
+		if (!this.#overflowStrip) {
+			return;
+		}
 
-		container.innerHTML = '';
+		if (this.#overflowStrip.dataset.mode === 'scroll') {
+			const { scrollWidth, clientWidth } = this.#tablist;
+			const start = Math.abs(this.#tablist.scrollLeft);
+			const overflowing = scrollWidth > clientWidth + 1;
+			const [previousButton, nextButton] = this.#scrollButtons;
 
-		if (this.tablistAfter) {
-			this.#tabpanels.forEach((panel) => container.appendChild(panel));
-			container.appendChild(this.#tablist);
-		} else {
-			container.appendChild(this.#tablist);
-			this.#tabpanels.forEach((panel) => container.appendChild(panel));
+			previousButton.hidden = !overflowing;
+			nextButton.hidden = !overflowing;
+			previousButton.disabled = start <= 0;
+			nextButton.disabled = start + clientWidth >= scrollWidth - 1;
+			return;
 		}
 
-		this.#applyDefaultTab({ force: true });
-		this.#initialized = true;
-		this.#focusedIndex = this.#activeIndex;
+		this.#layoutOverflowMenu();
 	}
 
-	// eslint-disable-next-line class-methods-use-this
-	#parseContentIntoSections(nodes, headingTag) {
-		const sections = [];
-		let currentSection = null;
+	#layoutOverflowMenu() {
+		// Measure every tab at its natural width first
+		this.#tabs.forEach((tab) => {
+			tab.hidden = false;
+		});
+		this.#overflowMenuButton.hidden = true;
 
-		for (const node of nodes) {
-			if (node.nodeType === Node.ELEMENT_NODE) {
-				if (node.tagName.toLowerCase() === headingTag) {
-					// Start a new section
-					if (currentSection) {
-						sections.push(currentSection);
-					}
-					currentSection = {
-						heading: node,
-						content: [],
-					};
-				} else if (currentSection) {
-					currentSection.content.push(node);
-				}
-			} else if (
-				node.nodeType === Node.TEXT_NODE &&
-				node.textContent.trim() &&
-				currentSection
-			) {
-				// Wrap text nodes in a span
-				const span = document.createElement('span');
-				span.textContent = node.textContent;
-				currentSection.content.push(span);
-			}
-		}
+		const available = this.#overflowStrip.clientWidth;
+		const widths = this.#tabs.map((tab) => tab.offsetWidth);
+		const total = widths.reduce((sum, width) => sum + width, 0);
+		const overflowed = [];
 
-		// Don't forget the last section
-		if (currentSection) {
-			sections.push(currentSection);
+		if (total > available) {
+			this.#overflowMenuButton.hidden = false;
+			const room = available - this.#overflowMenuButton.offsetWidth;
+
+			// The active and focused tabs always stay in the tablist
+			const pinned = new Set([this.#activeIndex, this.#focusedIndex]);
+			let used = 0;
+			pinned.forEach((index) => {
+				used += widths[index] || 0;
+			});
+
+			let full = false;
+			widths.forEach((width, index) => {
+				if (pinned.has(index)) {
+					return;
+				}
+				full = full || used + width > room;
+				if (full) {
+					overflowed.push(index);
+				} else {
+					used += width;
+				}
+			});
 		}
 
-		return sections;
-	}
+		overflowed.forEach((index) => {
+			this.#tabs[index].hidden = true;
+		});
 
-	#activateTab(index) {
-		if (index < 0 || index >= this.#tabs.length) return;
-		if (index === this.#activeIndex && this.#initialized) return;
+		this.#overflowMenu.replaceChildren(
+			...overflowed.map((index) => {
+				const item = document.createElement('button');
+				item.type = 'button';
+				item.setAttribute('role', 'menuitem');
+				item.setAttribute('tabindex', '-1');
+				item.textContent = this.#getTabLabel(index);
+				if (this.#isDisabled(index)) {
+					item.setAttribute('aria-disabled', 'true');
+				}
+				item.addEventListener('click', () => {
+					const tab = this.#tabs[index];
+					this.#toggleOverflowMenu(false);
+					if (this.#activateTab(index, 'click')) {
+						tab.focus();
+					} else {
+						this.#overflowMenuButton.focus();
+					}
+				});
+				return item;
+			}),
+		);
 
-		// Deactivate current tab
-		if (this.#tabs[this.#activeIndex]) {
-			this.#tabs[this.#activeIndex].setAttribute(
-				'aria-selected',
-				'false',
-			);
-			this.#tabs[this.#activeIndex].setAttribute('tabindex', '-1');
-			this.#tabs[this.#activeIndex].setAttribute('part', 'tab');
-		}
-		if (this.#tabpanels[this.#activeIndex]) {
-			this.#tabpanels[this.#activeIndex].setAttribute('hidden', '');
+		if (overflowed.length === 0) {
+			this.#toggleOverflowMenu(false);
 		}
+	}
 
-		// Activate new tab
-		this.#activeIndex = index;
-		this.#focusedIndex = index;
-		this.#tabs[index].setAttribute('aria-selected', 'true');
-		this.#tabs[index].setAttribute('tabindex', '0');
-		this.#tabs[index].setAttribute('part', 'tab selected');
-		this.#tabpanels[index].removeAttribute('hidden');
+	#toggleOverflowMenu(open, focusIndex) {
+		if (!this.#overflowMenu) {
+			return;
+		}
 
-		// Dispatch change event
-		this.dispatchEvent(
-			new CustomEvent('tabbed-interface:change', {
-				detail: {
-					tabId: this.#tabs[index].id,
-					tabpanelId: this.#tabpanels[index].id,
-					tabIndex: index,
-				},
-				bubbles: true,
-				composed: true,
-			}),
+		this.#overflowMenu.hidden = !open;
+		this.#overflowMenuButton.setAttribute(
+			'aria-expanded',
+			open ? 'true' : 'false',
 		);
+
+		if (open && focusIndex !== undefined) {
+			this.#overflowMenu.children[
+				focusIndex < 0
+					? this.#overflowMenu.children.length - 1
+					: focusIndex
+			]?.focus();
+		}
 	}
 
-	#handleKeydown(event, tabIndex) {
-		const key = event.key;
+	#handleOverflowMenuKeydown(event) {
+		const items = Array.from(this.#overflowMenu.children);
+		const current = items.indexOf(this.shadowRoot.activeElement);
+		let targetIndex;
 
-		switch (key) {
-			case 'ArrowLeft':
-			case 'ArrowUp':
-				event.preventDefault();
-				this.#navigatePrevious();
-				break;
-			case 'ArrowRight':
+		switch (event.key) {
 			case 'ArrowDown':
-				event.preventDefault();
-				this.#navigateNext();
+				targetIndex = (current + 1) % items.length;
+				break;
+			case 'ArrowUp':
+				targetIndex = (current - 1 + items.length) % items.length;
 				break;
 			case 'Home':
-				event.preventDefault();
-				this.#navigateFirst();
+				targetIndex = 0;
 				break;
 			case 'End':
-				event.preventDefault();
-				this.#navigateLast();
+				targetIndex = items.length - 1;
 				break;
-			case 'Enter':
-			case ' ':
+			case 'Escape':
 				event.preventDefault();
-				// If auto-activate is disabled, activate the tab on Enter/Space
-				if (!this.autoActivate) {
-					this.#activateTab(this.#focusedIndex);
-				}
-				// Focus the first focusable element in the active panel
-				const panel = this.#tabpanels[this.#activeIndex];
-				const focusable = panel.querySelector(
-					'a, button, input, textarea, select, details, [tabindex]:not([tabindex="-1"])',
-				);
-				if (focusable) {
-					focusable.focus();
-				}
-				break;
+				this.#toggleOverflowMenu(false);
+				this.#overflowMenuButton.focus();
+				return;
+			case 'Tab':
+				this.#toggleOverflowMenu(false);
+				return;
+			default:
+				return;
 		}
+
+		event.preventDefault();
+		items[targetIndex].focus();
 	}
 
-	#navigateNext() {
-		if (this.#tabs.length === 0) {
-			return;
+	#scrollTablist(direction) {
+		const rtl = this.#isRtl();
+		this.#tablist.scrollBy({
+			left: direction * (rtl ? -1 : 1) * this.#tablist.clientWidth * 0.75,
+			behavior: 'smooth',
+		});
+	}
+
+	// Resolved on every use so runtime dir changes apply right away.
+	// :dir() resolves dir attributes, including dir="auto", and the
+	// computed style catches a CSS direction set by the page.
+	#isRtl() {
+		let resolved = false;
+		try {
+			if (this.matches(':dir(rtl)')) {
+				return true;
+			}
+			resolved = this.matches(':dir(ltr)');
+		} catch {
+			// Engines without :dir() support
 		}
-		const currentFocus = this.autoActivate
-			? this.#activeIndex
-			: this.#focusedIndex;
-		const nextIndex = (currentFocus + 1) % this.#tabs.length;
-		if (this.autoActivate) {
-			this.#activateTab(nextIndex);
-		} else {
-			this.#focusedIndex = nextIndex;
+
+		if (getComputedStyle(this).direction === 'rtl') {
+			return true;
 		}
-		this.#tabs[nextIndex].focus();
+		return !resolved && this.#hasRtlDirAttribute();
 	}
 
-	#navigatePrevious() {
-		if (this.#tabs.length === 0) {
-			return;
+	// Where :dir() isn't available, follow dir attributes up through
+	// shadow hosts the way it would
+	#hasRtlDirAttribute() {
+		let node = this;
+		while (node) {
+			const dir = node.getAttribute('dir')?.toLowerCase();
+			if (dir === 'rtl' || dir === 'ltr') {
+				return dir === 'rtl';
+			}
+			node = node.parentElement || node.getRootNode().host;
 		}
-		const currentFocus = this.autoActivate
-			? this.#activeIndex
-			: this.#focusedIndex;
-		const prevIndex =
-			(currentFocus - 1 + this.#tabs.length) % this.#tabs.length;
-		if (this.autoActivate) {
-			this.#activateTab(prevIndex);
-		} else {
-			this.#focusedIndex = prevIndex;
+		return false;
+	}
+
+	#scrollTabIntoView(index) {
+		if (
+			this.#overflowStrip?.dataset.mode === 'scroll' &&
+			this.#initialized
+		) {
+			this.#tabs[index].scrollIntoView({
+				block: 'nearest',
+				inline: 'nearest',
+			});
 		}
-		this.#tabs[prevIndex].focus();
 	}
 
-	#navigateFirst() {
-		if (this.#tabs.length === 0) {
+	#updateCollapseObserver() {
+		if (
+			!this.hasAttribute('collapse-below') ||
+			typeof ResizeObserver === 'undefined'
+		) {
+			if (this.#resizeObserver) {
+				this.#resizeObserver.disconnect();
+				this.#resizeObserver = null;
+			}
+			this.#observedWidth = null;
+			this.#setCollapsed(false);
 			return;
 		}
-		if (this.autoActivate) {
-			this.#activateTab(0);
-		} else {
-			this.#focusedIndex = 0;
+
+		if (!this.#resizeObserver) {
+			this.#resizeObserver = new ResizeObserver((entries) => {
+				const entry = entries[entries.length - 1];
+				this.#observedWidth = entry.contentRect.width;
+				this.#evaluateCollapse();
+			});
+			this.#resizeObserver.observe(this);
+			return;
 		}
-		this.#tabs[0].focus();
+
+		this.#evaluateCollapse();
 	}
 
-	#navigateLast() {
-		if (this.#tabs.length === 0) {
+	#evaluateCollapse() {
+		if (this.#observedWidth === null) {
 			return;
 		}
-		const lastIndex = this.#tabs.length - 1;
-		if (this.autoActivate) {
-			this.#activateTab(lastIndex);
-		} else {
-			this.#focusedIndex = lastIndex;
+
+		const threshold = this.#resolveCollapseThreshold();
+		this.#setCollapsed(
+			threshold !== null && this.#observedWidth < threshold,
+		);
+	}
+
+	#resolveCollapseThreshold() {
+		const value = (this.getAttribute('collapse-below') || '').trim();
+		const match = value.match(/^(\d*\.?\d+)(px|em|rem)?$/i);
+		if (!match) {
+			return null;
+		}
+
+		const amount = parseFloat(match[1]);
+		const unit = (match[2] || 'px').toLowerCase();
+		if (unit === 'px') {
+			return amount;
 		}
-		this.#tabs[lastIndex].focus();
+
+		const fontSource = unit === 'rem' ? document.documentElement : this;
+		const fontSize = parseFloat(getComputedStyle(fontSource).fontSize);
+		return amount * (fontSize || 16);
 	}
 
-	#handleHashChange() {
-		const hash = window.location.hash;
-		if (!hash || !this.#initialized) return;
+	#setCollapsed(collapsed) {
+		if (collapsed === this.#collapsed) {
+			return;
+		}
 
-		const targetId = hash.slice(1);
+		this.#collapsed = collapsed;
+		this.#focusedIndex = this.#activeIndex;
+		this.#arrangeContainer();
+	}
 
-		// Look for a heading with this ID in the tabpanels
-		for (let i = 0; i < this.#tabpanels.length; i++) {
-			const panel = this.#tabpanels[i];
-			const heading = panel.querySelector('h1, h2, h3, h4, h5, h6');
-			if (
-				heading &&
-				(heading.id === targetId ||
-					heading.dataset.originalId === targetId)
-			) {
-				this.#activateTab(i);
-				// Scroll to the tablist
-				if (
-					this.#tablist &&
-					typeof this.#tablist.scrollIntoView === 'function'
-				) {
-					this.#tablist.scrollIntoView({ behavior: 'smooth' });
-				}
-				return;
+	#applyDefaultTab({ force = false } = {}) {
+		if (this.#tabs.length === 0) {
+			return;
+		}
+
+		if (!this.#initialized && !force) {
+			return;
+		}
+
+		// On init an activeIndex set beforehand wins, then a persisted tab,
+		// then default-tab; URL state is applied once initialization
+		// finishes, so it wins over all of them
+		let targetIndex = -1;
+		if (force) {
+			targetIndex = this.#takePendingActiveIndex();
+			if (targetIndex === -1) {
+				targetIndex = this.#readPersistedTab();
 			}
 		}
+		if (targetIndex === -1) {
+			targetIndex = this.#resolveDefaultTab();
+		}
+
+		// Disabled targets fall back to the nearest enabled tab
+		this.#activateTab(this.#nearestEnabledIndex(targetIndex), 'default');
 	}
 
-	#updateHeaderVisibility() {
-		const showHeaders = this.showHeaders;
+	#takePendingActiveIndex() {
+		const index = this.#pendingActiveIndex;
+		this.#pendingActiveIndex = null;
+		return Number.isInteger(index) &&
+			index >= 0 &&
+			index < this.#tabs.length
+			? index
+			: -1;
+	}
 
-		this.#tabpanels.forEach((panel, index) => {
-			const heading = panel.querySelector('h1, h2, h3, h4, h5, h6');
-			if (heading) {
-				// If there's a custom tab title, always show the heading in the panel
-				const hasCustomTitle = this.#hasCustomTitle[index];
+	#getPersistStorage() {
+		if (this.#storageAdapter) {
+			return this.#storageAdapter;
+		}
 
-				if (!showHeaders && !hasCustomTitle) {
-					heading.classList.add('visually-hidden');
-				} else {
-					heading.classList.remove('visually-hidden');
-				}
-			}
-		});
+		try {
+			return this.getAttribute('persist-storage') === 'session'
+				? window.sessionStorage
+				: window.localStorage;
+		} catch {
+			// Storage can be blocked entirely (e.g. sandboxed frames)
+			return null;
+		}
 	}
 
-	#updateTablistPosition() {
-		const container = this.shadowRoot.querySelector('#container');
-		if (!container || !this.#tablist) return;
+	#readPersistedTab() {
+		const key = this.persist;
+		const storage = key && this.#getPersistStorage();
+		if (!storage) {
+			return -1;
+		}
+
+		let saved;
+		try {
+			saved = JSON.parse(storage.getItem(key));
+		} catch {
+			return -1;
+		}
 
-		// Remove tablist from current position
-		this.#tablist.remove();
+		if (!saved || typeof saved !== 'object') {
+			return -1;
+		}
 
-		if (this.tablistAfter) {
-			container.appendChild(this.#tablist);
-		} else {
-			container.insertBefore(this.#tablist, container.firstChild);
+		// Prefer the heading ID so reordered content still restores correctly
+		if (saved.id) {
+			const index = this.#headings.findIndex(
+				(heading) => heading.id === saved.id,
+			);
+			if (index !== -1) {
+				return index;
+			}
 		}
+
+		return Number.isInteger(saved.index) &&
+			saved.index >= 0 &&
+			saved.index < this.#tabs.length
+			? saved.index
+			: -1;
 	}
 
-	#applyDefaultTab({ force = false } = {}) {
-		if (this.#tabs.length === 0) {
+	#writePersistedTab(index) {
+		const key = this.persist;
+		const storage = key && this.#getPersistStorage();
+		if (!storage || !this.#initialized) {
 			return;
 		}
 
-		if (!this.#initialized && !force) {
-			return;
+		try {
+			storage.setItem(
+				key,
+				JSON.stringify({ id: this.#headings[index].id || null, index }),
+			);
+		} catch {
+			// Quota or privacy errors shouldn't break tab switching
 		}
+	}
 
+	#resolveDefaultTab() {
 		const defaultTab = this.getAttribute('default-tab');
 		if (defaultTab === null || defaultTab === '') {
-			this.#activateTab(0);
-			return;
+			return 0;
 		}
 
 		const numericIndex = Number(defaultTab);
@@ -776,31 +4099,29 @@ export class TabbedInterfaceElement extends HTMLElement {
 			numericIndex >= 0 &&
 			numericIndex < this.#tabs.length
 		) {
-			this.#activateTab(numericIndex);
-			return;
+			return numericIndex;
 		}
 
-		const matchedIndex = this.#tabpanels.findIndex((panel) => {
-			const heading = panel.querySelector('h1, h2, h3, h4, h5, h6');
-			if (!heading) {
-				return false;
-			}
-			const originalId = heading.dataset.originalId || heading.id || '';
-			return originalId === defaultTab || heading.id === defaultTab;
-		});
+		const matchedIndex = this.#headings.findIndex(
+			(heading) => heading.id === defaultTab,
+		);
 
-		if (matchedIndex !== -1) {
-			this.#activateTab(matchedIndex);
-		} else {
-			this.#activateTab(0);
-		}
+		return matchedIndex !== -1 ? matchedIndex : 0;
 	}
 
 	#resetInternalState() {
 		this.#tablist = null;
 		this.#tabs = [];
 		this.#tabpanels = [];
+		this.#sections = [];
+		this.#headings = [];
+		this.#panelHeadings = [];
+		this.#accordionHeadings = [];
+		this.#contentNodes = [];
 		this.#hasCustomTitle = [];
+		this.#nextTabKey = 0;
+		this.#validated = false;
+		this.#teardownOverflow();
 		this.#activeIndex = 0;
 		this.#focusedIndex = 0;
 		this.#initialized = false;
@@ -808,7 +4129,7 @@ export class TabbedInterfaceElement extends HTMLElement {
 
 	#detachSlotListener() {
 		if (this.#slotElement) {
-			this.#slotElement.removeEventListener(
+			this.shadowRoot.removeEventListener(
 				'slotchange',
 				this.#onSlotChange,
 			);
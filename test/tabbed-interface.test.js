@@ -1,6 +1,30 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { TabbedInterfaceElement } from '../tabbed-interface.js';
 
+const getTabs = (target) =>
+	Array.from(target.shadowRoot.querySelectorAll('[role="tab"]'));
+
+const getPanels = (target) =>
+	Array.from(target.shadowRoot.querySelectorAll('[role="tabpanel"]'));
+
+// Connects an element, optionally replacing its content first, and
+// resolves with its tabs once they are built
+const connect = async (target, markup) => {
+	if (markup !== undefined) {
+		target.innerHTML = markup;
+	}
+	document.body.appendChild(target);
+	await target.ready;
+	return getTabs(target);
+};
+
+// Waits for the component to react to content and attribute changes
+const settle = async () => {
+	await new Promise((resolve) => setTimeout(resolve, 0));
+	await new Promise((resolve) => requestAnimationFrame(resolve));
+	await new Promise((resolve) => setTimeout(resolve, 0));
+};
+
 describe('TabbedInterfaceElement', () => {
 	let element;
 
@@ -34,9 +58,7 @@ describe('TabbedInterfaceElement', () => {
 	describe('Without heading content', () => {
 		it('should not transform content without headings', async () => {
 			element.innerHTML = '<p>Just a paragraph</p>';
-			document.body.appendChild(element);
-
-			await new Promise((resolve) => requestAnimationFrame(resolve));
+			await connect(element);
 
 			// Should have a slot but no tablist
 			const tablist =
@@ -55,11 +77,7 @@ describe('TabbedInterfaceElement', () => {
 				<h2 id="tab3">Third Tab</h2>
 				<p>Third content</p>
 			`;
-			document.body.appendChild(element);
-
-			// Wait for initialization
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			await connect(element);
 		});
 
 		it('should create a tablist', () => {
@@ -136,8 +154,7 @@ describe('TabbedInterfaceElement', () => {
 			element.appendChild(newHeading);
 			element.appendChild(newParagraph);
 
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			await settle();
 
 			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
 			expect(tabs.length).toBe(4);
@@ -154,10 +171,7 @@ describe('TabbedInterfaceElement', () => {
 				<h2>Tab C</h2>
 				<p>Content C</p>
 			`;
-			document.body.appendChild(element);
-
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			await connect(element);
 		});
 
 		it('should navigate to next tab', () => {
@@ -202,10 +216,7 @@ describe('TabbedInterfaceElement', () => {
 				<h2>Tab 2</h2>
 				<p>Content 2</p>
 			`;
-			document.body.appendChild(element);
-
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			await connect(element);
 		});
 
 		it('should switch tabs when clicked', () => {
@@ -226,6 +237,170 @@ describe('TabbedInterfaceElement', () => {
 		});
 	});
 
+	describe('Before-change event', () => {
+		let handler;
+
+		beforeEach(async () => {
+			element.innerHTML = `
+				<h2 id="before-one">Tab 1</h2>
+				<p>Content 1</p>
+				<h2 id="before-two">Tab 2</h2>
+				<p>Content 2</p>
+				<h2 id="before-three">Tab 3</h2>
+				<p>Content 3</p>
+			`;
+			await connect(element);
+
+			handler = vi.fn((event) => event.preventDefault());
+			element.addEventListener('tabbed-interface:beforechange', handler);
+		});
+
+		afterEach(() => {
+			history.replaceState(null, '', window.location.pathname);
+		});
+
+		it('should report the current and requested indices', () => {
+			element.removeEventListener(
+				'tabbed-interface:beforechange',
+				handler,
+			);
+			const listener = vi.fn();
+			element.addEventListener('tabbed-interface:beforechange', listener);
+
+			element.activeIndex = 2;
+
+			expect(listener).toHaveBeenCalledTimes(1);
+			expect(listener.mock.calls[0][0].cancelable).toBe(true);
+			expect(listener.mock.calls[0][0].detail).toEqual({
+				currentIndex: 0,
+				requestedIndex: 2,
+			});
+			expect(element.activeIndex).toBe(2);
+		});
+
+		it('should keep the current tab when a click is canceled', () => {
+			const change = vi.fn();
+			element.addEventListener('tabbed-interface:change', change);
+
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			tabs[1].click();
+
+			expect(element.activeIndex).toBe(0);
+			expect(tabs[0].getAttribute('aria-selected')).toBe('true');
+			expect(change).not.toHaveBeenCalled();
+		});
+
+		it('should keep the current tab for keyboard activation', () => {
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowRight' }),
+			);
+			tabs[1].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Enter' }),
+			);
+
+			expect(element.activeIndex).toBe(0);
+		});
+
+		it('should keep the current tab for activeIndex, next() and previous()', () => {
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+
+			element.activeIndex = 1;
+			element.next();
+			element.previous();
+
+			expect(element.activeIndex).toBe(0);
+			expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+			expect(handler).toHaveBeenCalledTimes(3);
+		});
+
+		it('should keep the current tab on hash navigation', () => {
+			window.location.hash = '#before-three';
+			window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+			expect(handler).toHaveBeenCalled();
+			expect(element.activeIndex).toBe(0);
+		});
+	});
+
+	describe('Disabled tabs', () => {
+		beforeEach(async () => {
+			element.innerHTML = `
+				<h2 id="step-1">Step 1</h2>
+				<p>Content 1</p>
+				<h2 id="step-2" data-tab-disabled>Step 2</h2>
+				<p>Content 2</p>
+				<h2 id="step-3">Step 3</h2>
+				<p>Content 3</p>
+				<h2 id="step-4" data-tab-disabled>Step 4</h2>
+				<p>Content 4</p>
+			`;
+		});
+
+		it('should mark headings with data-tab-disabled as aria-disabled', async () => {
+			const tabs = await connect(element);
+			expect(tabs[0].hasAttribute('aria-disabled')).toBe(false);
+			expect(tabs[1].getAttribute('aria-disabled')).toBe('true');
+		});
+
+		it('should not activate a disabled tab', async () => {
+			const tabs = await connect(element);
+			tabs[1].click();
+			element.activeIndex = 1;
+			expect(element.activeIndex).toBe(0);
+		});
+
+		it('should skip disabled tabs with arrow keys and End', async () => {
+			const tabs = await connect(element);
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowRight' }),
+			);
+			expect(element.shadowRoot.activeElement).toBe(tabs[2]);
+
+			tabs[2].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowLeft' }),
+			);
+			expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+
+			tabs[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'End' }));
+			expect(element.shadowRoot.activeElement).toBe(tabs[2]);
+		});
+
+		it('should skip disabled tabs with next() and last()', async () => {
+			await connect(element);
+			element.next();
+			expect(element.activeIndex).toBe(2);
+			element.next();
+			expect(element.activeIndex).toBe(0);
+			element.last();
+			expect(element.activeIndex).toBe(2);
+		});
+
+		it('should fall back to the nearest enabled tab for default-tab', async () => {
+			element.setAttribute('default-tab', 'step-4');
+			await connect(element);
+			expect(element.activeIndex).toBe(2);
+		});
+
+		it('should toggle tabs at runtime with disableTab() and enableTab()', async () => {
+			const tabs = await connect(element);
+
+			element.enableTab(1);
+			expect(tabs[1].hasAttribute('aria-disabled')).toBe(false);
+			element.activeIndex = 1;
+			expect(element.activeIndex).toBe(1);
+
+			element.disableTab(1);
+			expect(tabs[1].getAttribute('aria-disabled')).toBe('true');
+			expect(element.activeIndex).toBe(0);
+			expect(
+				element
+					.querySelector('#step-2')
+					.hasAttribute('data-tab-disabled'),
+			).toBe(true);
+		});
+	});
+
 	describe('Keyboard navigation', () => {
 		beforeEach(async () => {
 			element.innerHTML = `
@@ -236,10 +411,7 @@ describe('TabbedInterfaceElement', () => {
 				<h2>Tab 3</h2>
 				<p>Content 3</p>
 			`;
-			document.body.appendChild(element);
-
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			await connect(element);
 		});
 
 		it('should navigate with ArrowRight', () => {
@@ -275,6 +447,15 @@ describe('TabbedInterfaceElement', () => {
 			expect(element.shadowRoot.activeElement).toBe(tabs[0]);
 		});
 
+		it('should ignore vertical arrow keys in a horizontal tablist', () => {
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			tabs[0].focus();
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowDown' }),
+			);
+			expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+		});
+
 		it('should go to last with End key', () => {
 			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
 			tabs[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'End' }));
@@ -282,6 +463,88 @@ describe('TabbedInterfaceElement', () => {
 			expect(element.activeIndex).toBe(0);
 			expect(element.shadowRoot.activeElement).toBe(tabs[2]);
 		});
+
+		describe('right-to-left', () => {
+			afterEach(() => {
+				document.documentElement.removeAttribute('dir');
+				document.body.removeAttribute('dir');
+			});
+
+			it('should flip horizontal arrows for an inherited rtl direction', () => {
+				document.documentElement.setAttribute('dir', 'rtl');
+				const tabs =
+					element.shadowRoot.querySelectorAll('[role="tab"]');
+
+				tabs[0].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowLeft' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+
+				tabs[1].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowRight' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+			});
+
+			it('should follow dir changes at runtime', () => {
+				const tabs =
+					element.shadowRoot.querySelectorAll('[role="tab"]');
+				element.setAttribute('dir', 'rtl');
+				tabs[0].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowLeft' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+
+				element.setAttribute('dir', 'ltr');
+				tabs[1].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowLeft' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+			});
+
+			it('should let a nearer ltr ancestor win over an rtl document', () => {
+				document.documentElement.setAttribute('dir', 'rtl');
+				document.body.setAttribute('dir', 'ltr');
+				const tabs =
+					element.shadowRoot.querySelectorAll('[role="tab"]');
+
+				tabs[0].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowRight' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+			});
+
+			it('should follow a CSS direction set by the page', () => {
+				element.style.direction = 'rtl';
+				const tabs =
+					element.shadowRoot.querySelectorAll('[role="tab"]');
+
+				tabs[0].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowLeft' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+				element.style.direction = '';
+			});
+
+			it('should use the direction :dir() resolves for dir="auto"', () => {
+				element.setAttribute('dir', 'auto');
+				// happy-dom doesn't resolve :dir(), so stand in for a browser
+				// that found right-to-left text
+				const matches = element.matches.bind(element);
+				vi.spyOn(element, 'matches').mockImplementation((selector) =>
+					selector === ':dir(rtl)' ? true : matches(selector),
+				);
+				document.body.setAttribute('dir', 'ltr');
+				const tabs =
+					element.shadowRoot.querySelectorAll('[role="tab"]');
+
+				tabs[0].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowLeft' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+				vi.restoreAllMocks();
+			});
+		});
 	});
 
 	describe('Attributes', () => {
@@ -291,10 +554,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Tab 1</h2>
 					<p>Content 1</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				const panel =
 					element.shadowRoot.querySelector('[role="tabpanel"]');
@@ -310,10 +570,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Tab 1</h2>
 					<p>Content 1</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				const panel =
 					element.shadowRoot.querySelector('[role="tabpanel"]');
@@ -330,10 +587,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Tab 1</h2>
 					<p>Content 1</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				const container =
 					element.shadowRoot.querySelector('#container');
@@ -347,10 +601,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Tab 1</h2>
 					<p>Content 1</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				const container =
 					element.shadowRoot.querySelector('#container');
@@ -368,10 +619,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Tab 2</h2>
 					<p>Content 2</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				expect(element.activeIndex).toBe(1);
 			});
@@ -384,10 +632,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2 id="second">Tab 2</h2>
 					<p>Content 2</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				expect(element.activeIndex).toBe(1);
 			});
@@ -401,10 +646,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Tab 2</h2>
 					<p>Content 2</p>
 				`;
-				document.body.appendChild(preConnected);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(preConnected);
 
 				expect(preConnected.activeIndex).toBe(1);
 
@@ -418,13 +660,10 @@ describe('TabbedInterfaceElement', () => {
 					<h2 id="details">Details</h2>
 					<p>Content 2</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				element.defaultTab = 'details';
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await settle();
 
 				expect(element.activeIndex).toBe(1);
 			});
@@ -438,18 +677,66 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Third</h2>
 					<p>Content 3</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				element.setAttribute('default-tab', '2');
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await settle();
 
 				expect(element.activeIndex).toBe(2);
 			});
 		});
 
+		describe('orientation', () => {
+			beforeEach(async () => {
+				element.setAttribute('orientation', 'vertical');
+				element.innerHTML = `
+					<h2>Tab 1</h2>
+					<p>Content 1</p>
+					<h2>Tab 2</h2>
+					<p>Content 2</p>
+				`;
+				await connect(element);
+			});
+
+			it('should set aria-orientation on the tablist', () => {
+				const tablist =
+					element.shadowRoot.querySelector('[role="tablist"]');
+				expect(element.orientation).toBe('vertical');
+				expect(tablist.getAttribute('aria-orientation')).toBe(
+					'vertical',
+				);
+
+				element.orientation = 'horizontal';
+				expect(tablist.getAttribute('aria-orientation')).toBe(
+					'horizontal',
+				);
+			});
+
+			it('should navigate with ArrowDown and ArrowUp', () => {
+				const tabs =
+					element.shadowRoot.querySelectorAll('[role="tab"]');
+				tabs[0].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowDown' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+
+				tabs[1].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowUp' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+			});
+
+			it('should ignore horizontal arrow keys', () => {
+				const tabs =
+					element.shadowRoot.querySelectorAll('[role="tab"]');
+				tabs[0].focus();
+				tabs[0].dispatchEvent(
+					new KeyboardEvent('keydown', { key: 'ArrowRight' }),
+				);
+				expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+			});
+		});
+
 		describe('auto-activate', () => {
 			it('should activate focused tab when enabled after init', async () => {
 				element.innerHTML = `
@@ -458,10 +745,7 @@ describe('TabbedInterfaceElement', () => {
 					<h2>Tab 2</h2>
 					<p>Content 2</p>
 				`;
-				document.body.appendChild(element);
-
-				await new Promise((resolve) => requestAnimationFrame(resolve));
-				await new Promise((resolve) => setTimeout(resolve, 0));
+				await connect(element);
 
 				const tabs =
 					element.shadowRoot.querySelectorAll('[role="tab"]');
@@ -475,69 +759,2597 @@ describe('TabbedInterfaceElement', () => {
 		});
 	});
 
-	describe('Custom tab titles', () => {
-		it('should use data-tab-short-name when provided', async () => {
-			element.innerHTML = `
-				<h2 data-tab-short-name="Short Title">Very Long Heading Title</h2>
-				<p>Content</p>
-			`;
-			document.body.appendChild(element);
+	describe('Tab management API', () => {
+		const markup = `
+			<h2 id="api-1">One</h2>
+			<p>Content 1</p>
+			<h2 id="api-2">Two</h2>
+			<p>Content 2</p>
+			<h2 id="api-3">Three</h2>
+			<p>Content 3</p>
+		`;
+
+		it('should add a tab in place and keep the active tab', async () => {
+			await connect(element, markup);
+			element.activeIndex = 1;
+			const activeTab = getTabs(element)[1];
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:add', handler);
 
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			const index = element.addTab({
+				heading: 'New',
+				content: '<p>New content</p>',
+				index: 0,
+			});
+			await settle();
 
-			const tab = element.shadowRoot.querySelector('[role="tab"]');
-			expect(tab.textContent).toBe('Short Title');
+			const tabs = getTabs(element);
+			expect(index).toBe(0);
+			expect(tabs).toHaveLength(4);
+			expect(tabs[0].textContent).toBe('New');
+			expect(tabs[2]).toBe(activeTab);
+			expect(element.activeIndex).toBe(2);
+			expect(element.querySelector('h2').textContent).toBe('New');
+			expect(handler.mock.calls[0][0].detail.tabIndex).toBe(0);
 		});
 
-		it('should not hide header when using custom tab title', async () => {
-			element.innerHTML = `
-				<h2 data-tab-short-name="Short">Long Title</h2>
-				<p>Content</p>
-			`;
-			document.body.appendChild(element);
+		it('should remove a tab by id and activate its neighbour', async () => {
+			await connect(element, markup);
+			element.activeIndex = 1;
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:remove', handler);
 
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			expect(element.removeTab('api-2')).toBe(true);
+			await settle();
 
-			const panel = element.shadowRoot.querySelector('[role="tabpanel"]');
-			const heading = panel.querySelector('h2');
-			expect(heading.classList.contains('visually-hidden')).toBe(false);
+			const tabs = getTabs(element);
+			expect(tabs.map((tab) => tab.textContent)).toEqual([
+				'One',
+				'Three',
+			]);
+			expect(element.activeIndex).toBe(1);
+			expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+			expect(element.querySelector('#api-2')).toBeNull();
+			expect(handler.mock.calls[0][0].detail.headingId).toBe('api-2');
+			expect(element.removeTab(5)).toBe(false);
 		});
-	});
 
-	describe('Multiple heading levels', () => {
-		it('should work with h3 headings', async () => {
-			element.innerHTML = `
-				<h3>Tab 1</h3>
-				<p>Content 1</p>
-				<h3>Tab 2</h3>
-				<p>Content 2</p>
-			`;
-			document.body.appendChild(element);
+		it('should move a tab and keep the active tab selected', async () => {
+			await connect(element, markup);
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:move', handler);
 
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+			expect(element.moveTab(0, 2)).toBe(true);
 
-			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
-			expect(tabs.length).toBe(2);
+			const tabs = getTabs(element);
+			expect(tabs.map((tab) => tab.textContent)).toEqual([
+				'Two',
+				'Three',
+				'One',
+			]);
+			expect(element.activeIndex).toBe(2);
+			expect(
+				Array.from(element.querySelectorAll('h2'), (h) => h.id),
+			).toEqual(['api-2', 'api-3', 'api-1']);
+			expect(handler.mock.calls[0][0].detail).toMatchObject({
+				from: 0,
+				to: 2,
+			});
+
+			tabs[0].click();
+			expect(element.activeIndex).toBe(0);
 		});
 
-		it('should use the first heading level found', async () => {
+		it('should rename a tab and its heading', async () => {
+			await connect(element, markup);
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:rename', handler);
+
+			expect(element.renameTab(1, 'Renamed')).toBe(true);
+
+			expect(getTabs(element)[1].textContent).toBe('Renamed');
+			expect(element.querySelector('#api-2').textContent).toBe('Renamed');
+			expect(handler.mock.calls[0][0].detail.label).toBe('Renamed');
+		});
+
+		it('should render a renamed label as text', async () => {
 			element.innerHTML = `
-				<h4>Tab 1</h4>
+				<h2 data-tab-short-name="Short">A longer heading</h2>
 				<p>Content 1</p>
-				<h4>Tab 2</h4>
+				<h2>Two</h2>
 				<p>Content 2</p>
 			`;
-			document.body.appendChild(element);
+			const tabs = await connect(element);
+			const label = '<img src="x" onerror="alert(1)">';
+
+			element.renameTab(0, label);
+			element.renameTab(1, label);
+
+			tabs.forEach((tab) => {
+				expect(tab.querySelector('img')).toBeNull();
+				expect(tab.textContent).toContain(label);
+			});
+			expect(element.querySelector('img')).toBeNull();
+		});
 
-			await new Promise((resolve) => requestAnimationFrame(resolve));
-			await new Promise((resolve) => setTimeout(resolve, 0));
+		it('should update projected sections in live content mode', async () => {
+			element.setAttribute('live-content', '');
+			await connect(element, markup);
+			element.addTab({ heading: 'Live', content: '<p>Live content</p>' });
+			await settle();
 
 			const panels =
 				element.shadowRoot.querySelectorAll('[role="tabpanel"]');
-			expect(panels[0].querySelector('h4')).toBeTruthy();
+			const slot = panels[3].querySelector('slot:not([name^="heading"])');
+			expect(slot.assignedElements()[0].textContent).toBe('Live content');
+			expect(getTabs(element)).toHaveLength(4);
+		});
+	});
+
+	describe('Closable tabs', () => {
+		const markup = (secondHeadingAttributes = '') => `
+			<h2 id="doc-1">One</h2>
+			<p>Content 1</p>
+			<h2 id="doc-2" ${secondHeadingAttributes}>Two</h2>
+			<p>Content 2</p>
+			<h2 id="doc-3" data-tab-closable="false">Three</h2>
+			<p>Content 3</p>
+		`;
+
+		it('should render close controls only on closable tabs', async () => {
+			element.setAttribute('closable', '');
+			const tabs = await connect(element, markup());
+
+			expect(tabs[0].querySelector('[part="tab-close"]')).not.toBeNull();
+			expect(tabs[0].getAttribute('aria-keyshortcuts')).toBe('Delete');
+			expect(tabs[2].querySelector('[part="tab-close"]')).toBeNull();
+
+			element.closable = false;
+			expect(tabs[0].querySelector('[part="tab-close"]')).toBeNull();
+		});
+
+		it('should let a heading opt in without the host attribute', async () => {
+			await connect(element, markup('data-tab-closable'));
+
+			const tabs = getTabs(element);
+			expect(tabs[0].querySelector('[part="tab-close"]')).toBeNull();
+			expect(tabs[1].querySelector('[part="tab-close"]')).not.toBeNull();
+		});
+
+		it('should close the active tab with Delete and focus its neighbour', async () => {
+			element.setAttribute('closable', '');
+			const tabs = await connect(element, markup());
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:close', handler);
+
+			tabs[0].focus();
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Delete' }),
+			);
+
+			expect(handler.mock.calls[0][0].detail.headingId).toBe('doc-1');
+			expect(getTabs(element)).toHaveLength(2);
+			expect(element.querySelector('#doc-1')).toBeNull();
+			expect(element.activeIndex).toBe(0);
+			expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+			expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+		});
+
+		it('should close a tab from its close control without activating it', async () => {
+			element.setAttribute('closable', '');
+			const tabs = await connect(element, markup());
+
+			tabs[1].querySelector('[part="tab-close"]').click();
+
+			expect(getTabs(element)).toEqual([tabs[0], tabs[2]]);
+			expect(element.activeIndex).toBe(0);
+		});
+
+		it('should keep the tab when the close event is canceled', async () => {
+			element.setAttribute('closable', '');
+			await connect(element, markup());
+			element.addEventListener('tabbed-interface:close', (e) =>
+				e.preventDefault(),
+			);
+
+			getTabs(element)[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Delete' }),
+			);
+
+			expect(getTabs(element)).toHaveLength(3);
+			expect(element.querySelector('#doc-1')).not.toBeNull();
+		});
+	});
+
+	describe('Reorderable tabs', () => {
+		beforeEach(async () => {
+			element.setAttribute('reorderable', '');
+			element.innerHTML = `
+				<h2 id="order-1">One</h2>
+				<p>Content 1</p>
+				<h2 id="order-2">Two</h2>
+				<p>Content 2</p>
+				<h2 id="order-3">Three</h2>
+				<p>Content 3</p>
+			`;
+			await connect(element);
+		});
+
+		it('should make tabs draggable only when reorderable', () => {
+			const tabs = getTabs(element);
+			expect(tabs[0].getAttribute('draggable')).toBe('true');
+
+			element.reorderable = false;
+			expect(tabs[0].hasAttribute('draggable')).toBe(false);
+		});
+
+		it('should move the focused tab with Ctrl+Shift+Arrow and announce it', () => {
+			const tabs = getTabs(element);
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:reorder', handler);
+
+			tabs[0].focus();
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', {
+					key: 'ArrowRight',
+					ctrlKey: true,
+					shiftKey: true,
+				}),
+			);
+
+			expect(getTabs(element)).toEqual([tabs[1], tabs[0], tabs[2]]);
+			expect(element.shadowRoot.activeElement).toBe(tabs[0]);
+			expect(element.activeIndex).toBe(1);
+			expect(handler.mock.calls[0][0].detail).toEqual({
+				order: ['order-2', 'order-1', 'order-3'],
+				from: 0,
+				to: 1,
+			});
+			expect(
+				element.shadowRoot.querySelector('[role="status"]').textContent,
+			).toBe('One moved to position 2 of 3');
+		});
+
+		it('should not move past the ends of the tab list', () => {
+			const tabs = getTabs(element);
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', {
+					key: 'ArrowLeft',
+					ctrlKey: true,
+					shiftKey: true,
+				}),
+			);
+
+			expect(getTabs(element)).toEqual(tabs);
+		});
+
+		it('should reorder tabs with drag and drop', () => {
+			const tabs = getTabs(element);
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:reorder', handler);
+
+			tabs[2].dispatchEvent(
+				new DragEvent('dragstart', {
+					dataTransfer: new DataTransfer(),
+				}),
+			);
+			const dragOver = new DragEvent('dragover', { cancelable: true });
+			tabs[0].dispatchEvent(dragOver);
+			tabs[0].dispatchEvent(new DragEvent('drop', { cancelable: true }));
+
+			expect(dragOver.defaultPrevented).toBe(true);
+			expect(getTabs(element)).toEqual([tabs[2], tabs[0], tabs[1]]);
+			expect(
+				Array.from(element.querySelectorAll('h2'), (h) => h.id),
+			).toEqual(['order-3', 'order-1', 'order-2']);
+			expect(handler).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	describe('Content updates', () => {
+		beforeEach(async () => {
+			element.setAttribute('default-tab', 'sync-1');
+			element.innerHTML = `
+				<h2 id="sync-1">One</h2>
+				<p>Content 1</p>
+				<h2 id="sync-2">Two</h2>
+				<p>Content 2</p>
+				<h2 id="sync-3">Three</h2>
+				<p>Content 3</p>
+			`;
+			await connect(element);
+		});
+
+		it('should keep the active and focused tab when sections stream in', async () => {
+			const tabs = getTabs(element);
+			tabs[1].focus();
+			element.activeIndex = 1;
+
+			const heading = document.createElement('h2');
+			heading.textContent = 'Four';
+			const content = document.createElement('p');
+			content.textContent = 'Content 4';
+			element.append(heading, content);
+			await settle();
+
+			const updatedTabs = getTabs(element);
+			expect(updatedTabs).toHaveLength(4);
+			expect(updatedTabs.slice(0, 3)).toEqual(tabs);
+			expect(element.activeIndex).toBe(1);
+			expect(element.shadowRoot.activeElement).toBe(tabs[1]);
+		});
+
+		it('should only refresh the panel whose content changed', async () => {
+			const panels =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]');
+			const untouched = panels[0].querySelector('p');
+
+			const extra = document.createElement('p');
+			extra.textContent = 'More content 2';
+			element.querySelector('#sync-3').before(extra);
+			await settle();
+
+			expect(panels[0].querySelector('p')).toBe(untouched);
+			expect(panels[1].textContent).toContain('More content 2');
+		});
+
+		it('should keep a tab when its heading is replaced with the same id', async () => {
+			const tabs = getTabs(element);
+			element.activeIndex = 2;
+
+			const replacement = document.createElement('h2');
+			replacement.id = 'sync-3';
+			replacement.textContent = 'Third';
+			element.querySelector('#sync-3').replaceWith(replacement);
+			await settle();
+
+			expect(getTabs(element)[2]).toBe(tabs[2]);
+			expect(tabs[2].textContent).toBe('Third');
+			expect(element.activeIndex).toBe(2);
+		});
+
+		it('should activate a neighbour when the active section is removed', async () => {
+			element.activeIndex = 1;
+
+			const heading = element.querySelector('#sync-2');
+			heading.nextElementSibling.remove();
+			heading.remove();
+			await settle();
+
+			const tabs = getTabs(element);
+			expect(tabs.map((tab) => tab.textContent)).toEqual([
+				'One',
+				'Three',
+			]);
+			expect(element.activeIndex).toBe(1);
+			expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+		});
+
+		it('should leave unchanged panels in place when sections change', async () => {
+			const container = element.shadowRoot.querySelector('#container');
+			const removed = [];
+			const observer = new MutationObserver((records) =>
+				records.forEach((record) =>
+					removed.push(...record.removedNodes),
+				),
+			);
+			observer.observe(container, { childList: true, subtree: true });
+			const panels = Array.from(
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]'),
+			);
+
+			const heading = document.createElement('h2');
+			heading.textContent = 'Four';
+			element.append(heading, document.createElement('p'));
+			await settle();
+			element.moveTab(0, 3);
+			observer.takeRecords().forEach((record) => {
+				removed.push(...record.removedNodes);
+			});
+			observer.disconnect();
+
+			// Only the moved tab and its panel were taken out and put back
+			expect(removed).toEqual([getTabs(element)[3], panels[0]]);
+			expect(
+				Array.from(
+					element.shadowRoot.querySelectorAll('[role="tabpanel"]'),
+				).slice(0, 2),
+			).toEqual(panels.slice(1));
+		});
+
+		it('should project new content in live content mode', async () => {
+			element.liveContent = true;
+			await settle();
+			element.activeIndex = 1;
+
+			const extra = document.createElement('p');
+			extra.textContent = 'Streamed';
+			element.querySelector('#sync-3').before(extra);
+			await settle();
+
+			expect(extra.slot).toBe(
+				element
+					.querySelector('#sync-2')
+					.slot.replace('heading', 'panel'),
+			);
+			expect(element.activeIndex).toBe(1);
+		});
+	});
+
+	describe('Live content', () => {
+		beforeEach(async () => {
+			element.setAttribute('live-content', '');
+			element.innerHTML = `
+				<h2 id="live-one">Tab 1</h2>
+				<p><button type="button" id="live-button">Click</button></p>
+				<h2 id="live-two">Tab 2</h2>
+				<p>Content 2</p>
+			`;
+			await connect(element);
+		});
+
+		it('should keep the original nodes in the light DOM', () => {
+			const button = element.querySelector('#live-button');
+			const handler = vi.fn();
+			button.addEventListener('click', handler);
+			button.click();
+
+			expect(handler).toHaveBeenCalled();
+			expect(element.shadowRoot.querySelector('#live-button')).toBeNull();
+		});
+
+		it('should project each section through named slots', () => {
+			const panels =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]');
+			const headingSlot = panels[1].querySelector(
+				'slot[name="heading-1"]',
+			);
+			const panelSlot = panels[1].querySelector('slot[name="panel-1"]');
+
+			expect(headingSlot.assignedElements()[0]).toBe(
+				element.querySelector('#live-two'),
+			);
+			expect(panelSlot.assignedElements()[0].textContent).toBe(
+				'Content 2',
+			);
+		});
+
+		it('should visually hide headings unless show-headers is present', () => {
+			const headingSlot = element.shadowRoot.querySelector(
+				'slot[name="heading-0"]',
+			);
+			expect(
+				headingSlot.parentElement.classList.contains('visually-hidden'),
+			).toBe(true);
+
+			element.showHeaders = true;
+			expect(
+				headingSlot.parentElement.classList.contains('visually-hidden'),
+			).toBe(false);
+		});
+
+		it('should keep the active tab after slot assignment settles', async () => {
+			element.activeIndex = 1;
+
+			await settle();
+
+			expect(element.activeIndex).toBe(1);
+		});
+
+		it('should focus live panel content with Enter', () => {
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Enter' }),
+			);
+			expect(document.activeElement).toBe(
+				element.querySelector('#live-button'),
+			);
+		});
+
+		it('should pick up new sections added to the light DOM', async () => {
+			const heading = document.createElement('h2');
+			heading.textContent = 'Tab 3';
+			element.append(heading, document.createElement('p'));
+
+			await settle();
+
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			expect(tabs.length).toBe(3);
+			expect(heading.getAttribute('slot')).toBe('heading-2');
+		});
+
+		it('should go back to cloning when live-content is removed', async () => {
+			element.liveContent = false;
+
+			await settle();
+
+			expect(element.querySelector('h2[slot]')).toBeNull();
+			const panels =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]');
+			expect(panels[1].querySelector('p').textContent).toBe('Content 2');
+			// Form controls stay projected so they remain in the form
+			expect(
+				element.querySelector('#live-button').parentElement.slot,
+			).toBe('panel-0-0');
+		});
+	});
+
+	describe('Responsive accordion', () => {
+		let resizeCallback;
+
+		const resize = (width) => {
+			resizeCallback([{ contentRect: { width } }]);
+		};
+
+		beforeEach(async () => {
+			vi.stubGlobal(
+				'ResizeObserver',
+				class {
+					constructor(callback) {
+						resizeCallback = callback;
+					}
+
+					observe() {}
+
+					disconnect() {}
+				},
+			);
+
+			element.setAttribute('collapse-below', '600px');
+			element.innerHTML = `
+				<h3>Tab 1</h3>
+				<p>Content 1</p>
+				<h3>Tab 2</h3>
+				<p>Content 2</p>
+				<h3>Tab 3</h3>
+				<p>Content 3</p>
+			`;
+			await connect(element);
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+		});
+
+		it('should stay in tab mode above the threshold', () => {
+			resize(800);
+			expect(element.collapsed).toBe(false);
+			expect(
+				element.shadowRoot.querySelectorAll('[role="tab"]').length,
+			).toBe(3);
+		});
+
+		it('should render disclosure sections below the threshold', () => {
+			resize(400);
+			expect(element.collapsed).toBe(true);
+			expect(
+				element.shadowRoot.querySelector('[role="tablist"]'),
+			).toBeNull();
+
+			const buttons = element.shadowRoot.querySelectorAll(
+				'button[aria-expanded]',
+			);
+			const regions =
+				element.shadowRoot.querySelectorAll('[role="region"]');
+			expect(buttons.length).toBe(3);
+			expect(regions.length).toBe(3);
+			expect(buttons[0].getAttribute('aria-expanded')).toBe('true');
+			expect(buttons[1].getAttribute('aria-expanded')).toBe('false');
+			expect(buttons[0].getAttribute('aria-controls')).toBe(
+				regions[0].id,
+			);
+			expect(regions[1].hasAttribute('hidden')).toBe(true);
+
+			const heading = buttons[0].parentElement;
+			expect(heading.getAttribute('role')).toBe('heading');
+			expect(heading.getAttribute('aria-level')).toBe('3');
+		});
+
+		it('should carry the active index across layout switches', () => {
+			element.activeIndex = 2;
+			resize(400);
+
+			const buttons = element.shadowRoot.querySelectorAll(
+				'button[aria-expanded]',
+			);
+			expect(buttons[2].getAttribute('aria-expanded')).toBe('true');
+
+			buttons[1].click();
+			resize(800);
+
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			expect(element.activeIndex).toBe(1);
+			expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+			expect(tabs[1].getAttribute('tabindex')).toBe('0');
+		});
+
+		it('should mark the expanded button as unable to collapse', () => {
+			resize(400);
+			const buttons = element.shadowRoot.querySelectorAll(
+				'button[aria-expanded]',
+			);
+			expect(buttons[0].getAttribute('aria-disabled')).toBe('true');
+			expect(buttons[1].hasAttribute('aria-disabled')).toBe(false);
+
+			buttons[1].click();
+			expect(buttons[0].hasAttribute('aria-disabled')).toBe(false);
+			expect(buttons[1].getAttribute('aria-disabled')).toBe('true');
+
+			resize(800);
+			expect(buttons[1].hasAttribute('aria-disabled')).toBe(false);
+		});
+
+		it('should fire change events in accordion mode', () => {
+			resize(400);
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:change', handler);
+
+			element.shadowRoot
+				.querySelectorAll('button[aria-expanded]')[1]
+				.click();
+
+			expect(handler).toHaveBeenCalledTimes(1);
+			expect(handler.mock.calls[0][0].detail.tabIndex).toBe(1);
+		});
+
+		it('should move focus between headers without expanding them', () => {
+			resize(400);
+			const buttons = element.shadowRoot.querySelectorAll(
+				'button[aria-expanded]',
+			);
+			buttons[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowDown' }),
+			);
+
+			expect(element.shadowRoot.activeElement).toBe(buttons[1]);
+			expect(element.activeIndex).toBe(0);
+		});
+
+		it('should return to tabs when collapse-below is removed', () => {
+			resize(400);
+			element.removeAttribute('collapse-below');
+
+			expect(element.collapsed).toBe(false);
+			expect(
+				element.shadowRoot.querySelector('[role="tablist"]'),
+			).toBeTruthy();
+		});
+	});
+
+	describe('Overflow handling', () => {
+		let resizeCallback;
+		let stripWidth;
+
+		beforeEach(() => {
+			vi.stubGlobal(
+				'ResizeObserver',
+				class {
+					constructor(callback) {
+						resizeCallback = callback;
+					}
+
+					observe() {}
+
+					disconnect() {}
+				},
+			);
+
+			stripWidth = 330;
+			vi.spyOn(
+				HTMLElement.prototype,
+				'offsetWidth',
+				'get',
+			).mockImplementation(function () {
+				return this.getAttribute('role') === 'tab' ? 100 : 60;
+			});
+			vi.spyOn(
+				HTMLElement.prototype,
+				'clientWidth',
+				'get',
+			).mockImplementation(function () {
+				return this.classList.contains('tab-strip') ? stripWidth : 300;
+			});
+			vi.spyOn(Element.prototype, 'scrollWidth', 'get').mockReturnValue(
+				600,
+			);
+
+			element.innerHTML = [1, 2, 3, 4, 5]
+				.map(
+					(n) =>
+						`<h2 id="more-${n}">Tab ${n}</h2><p>Content ${n}</p>`,
+				)
+				.join('');
+		});
+
+		afterEach(() => {
+			vi.restoreAllMocks();
+			vi.unstubAllGlobals();
+		});
+
+		it('should move tabs that do not fit into a More menu', async () => {
+			element.setAttribute('overflow', 'menu');
+			const tabs = await connect(element);
+			const moreButton = element.shadowRoot.querySelector(
+				'[part="more-button"]',
+			);
+			const items =
+				element.shadowRoot.querySelectorAll('[role="menuitem"]');
+
+			expect(tabs.map((tab) => tab.hidden)).toEqual([
+				false,
+				false,
+				true,
+				true,
+				true,
+			]);
+			expect(moreButton.hidden).toBe(false);
+			expect(Array.from(items, (item) => item.textContent)).toEqual([
+				'Tab 3',
+				'Tab 4',
+				'Tab 5',
+			]);
+		});
+
+		it('should activate a tab from the menu and keep it visible', async () => {
+			element.setAttribute('overflow', 'menu');
+			const tabs = await connect(element);
+			element.shadowRoot.querySelector('[part="more-button"]').click();
+			const menu = element.shadowRoot.querySelector('[role="menu"]');
+			expect(menu.hidden).toBe(false);
+
+			menu.querySelectorAll('[role="menuitem"]')[2].click();
+
+			expect(element.activeIndex).toBe(4);
+			expect(menu.hidden).toBe(true);
+			expect(tabs[4].hidden).toBe(false);
+			expect(tabs[1].hidden).toBe(true);
+			expect(element.shadowRoot.activeElement).toBe(tabs[4]);
+		});
+
+		it('should support keyboard use of the More menu', async () => {
+			element.setAttribute('overflow', 'menu');
+			await connect(element);
+			const moreButton = element.shadowRoot.querySelector(
+				'[part="more-button"]',
+			);
+			const menu = element.shadowRoot.querySelector('[role="menu"]');
+			const items = menu.querySelectorAll('[role="menuitem"]');
+
+			moreButton.dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowDown' }),
+			);
+			expect(moreButton.getAttribute('aria-expanded')).toBe('true');
+			expect(element.shadowRoot.activeElement).toBe(items[0]);
+
+			menu.dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowUp' }),
+			);
+			expect(element.shadowRoot.activeElement).toBe(items[2]);
+
+			menu.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+			expect(menu.hidden).toBe(true);
+			expect(element.shadowRoot.activeElement).toBe(moreButton);
+		});
+
+		it('should show every tab again when there is room', async () => {
+			element.setAttribute('overflow', 'menu');
+			const tabs = await connect(element);
+			stripWidth = 800;
+			resizeCallback([]);
+
+			expect(tabs.every((tab) => !tab.hidden)).toBe(true);
+			expect(
+				element.shadowRoot.querySelector('[part="more-button"]').hidden,
+			).toBe(true);
+		});
+
+		it('should add scroll buttons and keep the active tab in view', async () => {
+			const scrollIntoView = vi
+				.spyOn(Element.prototype, 'scrollIntoView')
+				.mockImplementation(() => {});
+			element.setAttribute('overflow', 'scroll');
+			const tabs = await connect(element);
+			const tablist =
+				element.shadowRoot.querySelector('[role="tablist"]');
+			tablist.scrollBy = vi.fn();
+			const [previousButton, nextButton] =
+				element.shadowRoot.querySelectorAll('[part="scroll-button"]');
+
+			expect(previousButton.hidden).toBe(false);
+			expect(previousButton.disabled).toBe(true);
+			expect(nextButton.disabled).toBe(false);
+
+			nextButton.click();
+			expect(tablist.scrollBy).toHaveBeenCalledWith({
+				left: 225,
+				behavior: 'smooth',
+			});
+
+			element.activeIndex = 4;
+			expect(scrollIntoView).toHaveBeenCalled();
+			expect(scrollIntoView.mock.contexts.at(-1)).toBe(tabs[4]);
+		});
+
+		it('should not apply overflow handling to vertical tab lists', async () => {
+			element.setAttribute('orientation', 'vertical');
+			element.setAttribute('overflow', 'menu');
+			await connect(element);
+
+			expect(element.shadowRoot.querySelector('.tab-strip')).toBeNull();
+			expect(
+				element.shadowRoot.querySelectorAll('[hidden][role="tab"]'),
+			).toHaveLength(0);
+		});
+	});
+
+	describe('Panel transitions', () => {
+		let animations;
+
+		beforeEach(async () => {
+			animations = [];
+			Element.prototype.animate = function (keyframes, options) {
+				let finish;
+				let cancel;
+				const animation = {
+					element: this,
+					keyframes,
+					options,
+					finished: new Promise((resolve, reject) => {
+						finish = resolve;
+						cancel = reject;
+					}),
+					finish: () => finish(),
+					cancel: vi.fn(() => cancel(new Error('AbortError'))),
+				};
+				animations.push(animation);
+				return animation;
+			};
+
+			element.setAttribute('transition', 'fade');
+			element.innerHTML = `
+				<h2>Tab 1</h2>
+				<p>Content 1</p>
+				<h2>Tab 2</h2>
+				<p>Content 2</p>
+				<h2>Tab 3</h2>
+				<p>Content 3</p>
+			`;
+			await connect(element);
+		});
+
+		afterEach(() => {
+			delete Element.prototype.animate;
+			delete document.startViewTransition;
+			vi.unstubAllGlobals();
+		});
+
+		it('should animate the outgoing panel out and then the incoming panel in', async () => {
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:transitionend', handler);
+			const panels = getPanels(element);
+
+			element.activeIndex = 1;
+			expect(animations).toHaveLength(1);
+			expect(animations[0].element).toBe(panels[0]);
+			expect(panels[0].hidden).toBe(false);
+			expect(panels[1].hidden).toBe(true);
+
+			animations[0].finish();
+			await settle();
+			expect(animations[1].element).toBe(panels[1]);
+			expect(animations[1].keyframes).toEqual([
+				{ opacity: 0 },
+				{ opacity: 1 },
+			]);
+			expect(panels[0].hidden).toBe(true);
+			expect(panels[1].hidden).toBe(false);
+			expect(handler).not.toHaveBeenCalled();
+
+			animations[1].finish();
+			await settle();
+			expect(handler).toHaveBeenCalledTimes(1);
+			expect(handler.mock.calls[0][0].detail).toEqual({
+				tabIndex: 1,
+				previousIndex: 0,
+				transition: 'fade',
+			});
+		});
+
+		it('should cancel a running transition when switching again', async () => {
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:transitionend', handler);
+			const panels = getPanels(element);
+
+			element.activeIndex = 1;
+			element.activeIndex = 2;
+			await settle();
+
+			expect(animations[0].cancel).toHaveBeenCalled();
+			expect(animations[1].element).toBe(panels[1]);
+			expect(Array.from(panels, (panel) => panel.hidden)).toEqual([
+				true,
+				false,
+				true,
+			]);
+
+			animations[1].finish();
+			await settle();
+			animations[2].finish();
+			await settle();
+			expect(Array.from(panels, (panel) => panel.hidden)).toEqual([
+				true,
+				true,
+				false,
+			]);
+			expect(handler).toHaveBeenCalledTimes(1);
+			expect(handler.mock.calls[0][0].detail.tabIndex).toBe(2);
+		});
+
+		it('should slide in the direction of navigation', () => {
+			element.transition = 'slide';
+			element.activeIndex = 2;
+			expect(animations[0].keyframes[1].transform).toBe(
+				'translateX(-2rem)',
+			);
+		});
+
+		it('should skip the animation when reduced motion is preferred', () => {
+			vi.stubGlobal('matchMedia', () => ({ matches: true }));
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:transitionend', handler);
+
+			element.activeIndex = 1;
+
+			expect(animations).toHaveLength(0);
+			expect(getPanels(element)[1].hidden).toBe(false);
+			expect(handler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should use the View Transitions API when requested', async () => {
+			let update;
+			document.startViewTransition = vi.fn((callback) => {
+				update = callback;
+				return {
+					finished: Promise.resolve(),
+					skipTransition: vi.fn(),
+				};
+			});
+			const handler = vi.fn();
+			element.addEventListener('tabbed-interface:transitionend', handler);
+			const panels = getPanels(element);
+
+			element.transition = 'view';
+			element.activeIndex = 1;
+			expect(panels[0].hidden).toBe(false);
+
+			update();
+			expect(panels[0].hidden).toBe(true);
+			expect(panels[1].hidden).toBe(false);
+			await settle();
+			expect(handler).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	describe('Lazy panel content', () => {
+		let fetchStub;
+
+		beforeEach(async () => {
+			fetchStub = vi.fn(async () => ({
+				ok: true,
+				status: 200,
+				statusText: 'OK',
+				text: async () => '<p class="report">Loaded report</p>',
+			}));
+			vi.stubGlobal('fetch', fetchStub);
+
+			const template = document.createElement('template');
+			template.id = 'lazy-template';
+			template.innerHTML = '<p class="stamped">Stamped</p>';
+			document.body.appendChild(template);
+
+			element.innerHTML = `
+				<h2>Summary</h2>
+				<p>Content 1</p>
+				<h2 data-tab-src="/fragments/report.html">Report</h2>
+				<h2 data-tab-template="lazy-template">Template</h2>
+			`;
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+			document.getElementById('lazy-template')?.remove();
+		});
+
+		it('should not load content until the tab is activated', async () => {
+			await connect(element);
+
+			expect(fetchStub).not.toHaveBeenCalled();
+		});
+
+		it('should fetch content on first activation', async () => {
+			await connect(element);
+
+			const events = [];
+			element.addEventListener('tabbed-interface:loadstart', (e) =>
+				events.push(['loadstart', e.detail.src]),
+			);
+			element.addEventListener('tabbed-interface:load', (e) =>
+				events.push(['load', e.detail.tabIndex]),
+			);
+
+			element.activeIndex = 1;
+			const panel =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]')[1];
+			expect(panel.getAttribute('aria-busy')).toBe('true');
+			expect(panel.querySelector('[part="loading"]')).toBeTruthy();
+
+			await settle();
+
+			expect(fetchStub).toHaveBeenCalledWith('/fragments/report.html');
+			expect(panel.hasAttribute('aria-busy')).toBe(false);
+			expect(panel.querySelector('[part="loading"]')).toBeNull();
+			expect(panel.querySelector('.report').textContent).toBe(
+				'Loaded report',
+			);
+			expect(events).toEqual([
+				['loadstart', '/fragments/report.html'],
+				['load', 1],
+			]);
+
+			element.activeIndex = 0;
+			element.activeIndex = 1;
+			await settle();
+			expect(fetchStub).toHaveBeenCalledTimes(1);
+		});
+
+		it('should stamp template content on first activation', async () => {
+			await connect(element);
+
+			element.activeIndex = 2;
+			await settle();
+
+			const panel =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]')[2];
+			expect(panel.querySelector('.stamped')).toBeTruthy();
+			expect(fetchStub).not.toHaveBeenCalled();
+		});
+
+		it('should stamp a template from the surrounding shadow root', async () => {
+			const host = document.createElement('div');
+			const shadowRoot = host.attachShadow({ mode: 'open' });
+			const template = document.createElement('template');
+			template.id = 'shadow-template';
+			template.innerHTML = '<p class="stamped">Shadow stamped</p>';
+			element.querySelector('[data-tab-template]').dataset.tabTemplate =
+				'shadow-template';
+			shadowRoot.append(template, element);
+			document.body.appendChild(host);
+			await element.ready;
+			const errorHandler = vi.fn();
+			element.addEventListener(
+				'tabbed-interface:loaderror',
+				errorHandler,
+			);
+
+			element.activeIndex = 2;
+			await settle();
+
+			expect(errorHandler).not.toHaveBeenCalled();
+			expect(
+				getPanels(element)[2].querySelector('.stamped').textContent,
+			).toBe('Shadow stamped');
+			host.remove();
+		});
+
+		it('should show an error state and retry on the next activation', async () => {
+			fetchStub.mockResolvedValueOnce({
+				ok: false,
+				status: 500,
+				statusText: 'Server Error',
+			});
+			await connect(element);
+
+			const errorHandler = vi.fn();
+			element.addEventListener(
+				'tabbed-interface:loaderror',
+				errorHandler,
+			);
+
+			element.activeIndex = 1;
+			await settle();
+
+			const panel =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]')[1];
+			expect(errorHandler).toHaveBeenCalledTimes(1);
+			expect(errorHandler.mock.calls[0][0].detail.error).toBeInstanceOf(
+				Error,
+			);
+			expect(panel.querySelector('[part="error"]')).toBeTruthy();
+			expect(panel.hasAttribute('aria-busy')).toBe(false);
+
+			element.activeIndex = 0;
+			element.activeIndex = 1;
+			await settle();
+
+			expect(fetchStub).toHaveBeenCalledTimes(2);
+			expect(panel.querySelector('[part="error"]')).toBeNull();
+			expect(panel.querySelector('.report')).toBeTruthy();
+		});
+
+		it('should insert loaded content into the light DOM in live-content mode', async () => {
+			element.setAttribute('live-content', '');
+			await connect(element);
+
+			element.activeIndex = 1;
+			await settle();
+
+			const report = element.querySelector('.report');
+			expect(report.getAttribute('slot')).toBe('panel-1');
+			expect(element.activeIndex).toBe(1);
+		});
+	});
+
+	describe('Translated strings', () => {
+		const strings = {
+			loading: 'جارٍ التحميل…',
+			loadError: 'تعذّر تحميل المحتوى.',
+			close: 'إغلاق',
+			more: 'المزيد',
+			moved: (label, position, count) => `${label}: ${position}/${count}`,
+			invalidFields: (count) => `${count} ✗`,
+		};
+
+		beforeEach(() => {
+			element.innerHTML = `
+				<h2>One</h2>
+				<p><input name="name" required /></p>
+				<h2 data-tab-src="/fragments/two.html">Two</h2>
+			`;
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+		});
+
+		it('should fall back to English for strings that are not set', async () => {
+			await connect(element);
+			element.strings = { more: 'Mehr' };
+
+			expect(element.strings.more).toBe('Mehr');
+			expect(element.strings.loading).toBe('Loading…');
+			expect(element.strings.moved('One', 2, 2)).toBe(
+				'One moved to position 2 of 2',
+			);
+		});
+
+		it('should use the strings for loading states and the More button', async () => {
+			let fail;
+			vi.stubGlobal(
+				'fetch',
+				vi.fn(
+					() =>
+						new Promise((resolve, reject) => {
+							fail = reject;
+						}),
+				),
+			);
+			element.strings = strings;
+			element.setAttribute('overflow', 'menu');
+			await connect(element);
+
+			element.activeIndex = 1;
+			const panel = getPanels(element)[1];
+			expect(panel.querySelector('[part="loading"]').textContent).toBe(
+				strings.loading,
+			);
+			fail(new Error('offline'));
+			await settle();
+			expect(panel.querySelector('[part="error"]').textContent).toBe(
+				strings.loadError,
+			);
+			expect(
+				element.shadowRoot.querySelector('[part="more-button"]')
+					.textContent,
+			).toBe(strings.more);
+		});
+
+		it('should use the strings in tabs and announcements', async () => {
+			element.setAttribute('reorderable', '');
+			element.setAttribute('closable', '');
+			const form = document.createElement('form');
+			form.appendChild(element);
+			document.body.appendChild(form);
+			await element.ready;
+			element.strings = strings;
+
+			const tabs = getTabs(element);
+			expect(tabs[0].querySelector('.tab-close').title).toBe('إغلاق');
+
+			form.reportValidity();
+			expect(tabs[0].querySelector('.tab-error').textContent).toBe('1 ✗');
+
+			tabs[0].dispatchEvent(
+				new KeyboardEvent('keydown', {
+					key: 'ArrowRight',
+					ctrlKey: true,
+					shiftKey: true,
+				}),
+			);
+			expect(
+				element.shadowRoot.querySelector('[role="status"]').textContent,
+			).toBe('One: 2/2');
+			form.remove();
+		});
+	});
+
+	describe('Deep links into panels', () => {
+		const markup = `
+			<h2 id="deep-overview">Overview</h2>
+			<p>Content 1</p>
+			<h2 id="deep-faq">FAQ</h2>
+			<p>Intro</p>
+			<p id="faq-item-7">Answer seven</p>
+			<p><a id="faq-link" href="#top">Link</a></p>
+		`;
+
+		const navigate = (hash) => {
+			history.replaceState(null, '', hash);
+			window.dispatchEvent(new HashChangeEvent('hashchange'));
+		};
+
+		afterEach(() => {
+			history.replaceState(null, '', window.location.pathname);
+		});
+
+		it('should activate the panel containing the target and focus it', async () => {
+			await connect(element, markup);
+			const scrollIntoView = vi.fn();
+			const target = element.shadowRoot.querySelector('#faq-item-7');
+			target.scrollIntoView = scrollIntoView;
+
+			navigate('#faq-item-7');
+
+			expect(element.activeIndex).toBe(1);
+			expect(scrollIntoView).toHaveBeenCalled();
+			expect(target.getAttribute('tabindex')).toBe('-1');
+			expect(element.shadowRoot.activeElement).toBe(target);
+		});
+
+		it('should leave focusable targets without an added tabindex', async () => {
+			await connect(element, markup);
+			navigate('#faq-link');
+
+			const target = element.shadowRoot.querySelector('#faq-link');
+			expect(element.activeIndex).toBe(1);
+			expect(target.hasAttribute('tabindex')).toBe(false);
+			expect(element.shadowRoot.activeElement).toBe(target);
+		});
+
+		it('should reveal the live element in live-content mode', async () => {
+			element.setAttribute('live-content', '');
+			history.replaceState(null, '', '#faq-item-7');
+			await connect(element, markup);
+
+			const target = element.querySelector('#faq-item-7');
+			expect(element.activeIndex).toBe(1);
+			expect(document.activeElement).toBe(target);
+		});
+	});
+
+	describe('Nested tabbed interfaces', () => {
+		let inner;
+
+		beforeEach(async () => {
+			element.innerHTML = `
+				<h2 id="outer-one">Outer 1</h2>
+				<p>Outer content</p>
+				<h2 id="outer-two">Outer 2</h2>
+				<tabbed-interface id="inner">
+					<h3 id="inner-one">Inner 1</h3>
+					<p>Inner content 1</p>
+					<h3 id="inner-two">Inner 2</h3>
+					<p id="inner-detail">Inner content 2</p>
+				</tabbed-interface>
+			`;
+			inner = element.querySelector('#inner');
+			await connect(element);
+			await inner.ready;
+		});
+
+		afterEach(() => {
+			history.replaceState(null, '', window.location.pathname);
+		});
+
+		it('should project nested instances instead of cloning them', () => {
+			const panels =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]');
+			expect(panels[1].querySelector('tabbed-interface')).toBeNull();
+
+			const slot = panels[1].querySelector('slot');
+			expect(slot.assignedElements()).toEqual([inner]);
+		});
+
+		it('should keep the inner state when the outer tab changes', () => {
+			inner.activeIndex = 1;
+			element.activeIndex = 1;
+			element.activeIndex = 0;
+			element.activeIndex = 1;
+
+			expect(element.querySelector('#inner')).toBe(inner);
+			expect(inner.activeIndex).toBe(1);
+		});
+
+		it('should activate outer and inner tabs for a hash on an inner heading', () => {
+			history.replaceState(null, '', '#inner-two');
+			window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+			expect(element.activeIndex).toBe(1);
+			expect(inner.activeIndex).toBe(1);
+		});
+
+		it('should let the inner instance reveal deep-link targets', () => {
+			history.replaceState(null, '', '#inner-detail');
+			window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+			expect(element.activeIndex).toBe(1);
+			expect(inner.activeIndex).toBe(1);
+			expect(inner.shadowRoot.activeElement.id).toBe('inner-detail');
+		});
+
+		it('should move focus into the nested tablist with Enter', () => {
+			inner.activeIndex = 1;
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			tabs[1].focus();
+			tabs[1].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Enter' }),
+			);
+
+			const innerTabs = inner.shadowRoot.querySelectorAll('[role="tab"]');
+			expect(element.activeIndex).toBe(1);
+			expect(inner.shadowRoot.activeElement).toBe(innerTabs[1]);
+		});
+	});
+
+	describe('URL sync', () => {
+		const markup = `
+			<h2 id="sync-intro">Intro</h2>
+			<p>Content 1</p>
+			<h2 id="sync-details">Details</h2>
+			<p>Content 2</p>
+			<h2>Untitled</h2>
+			<p>Content 3</p>
+		`;
+
+		afterEach(() => {
+			vi.restoreAllMocks();
+			history.replaceState(null, '', window.location.pathname);
+		});
+
+		it('should write the active heading ID to the hash', async () => {
+			element.setAttribute('sync-url', '');
+			const tabs = await connect(element, markup);
+			const pushState = vi.spyOn(history, 'pushState');
+
+			tabs[1].click();
+
+			expect(window.location.hash).toBe('#sync-details');
+			expect(pushState).toHaveBeenCalledTimes(1);
+		});
+
+		it('should not touch the URL without sync-url', async () => {
+			const tabs = await connect(element, markup);
+			tabs[1].click();
+			expect(window.location.hash).toBe('');
+		});
+
+		it('should write a query parameter keyed by the element ID', async () => {
+			element.id = 'settings';
+			element.setAttribute('sync-url', 'query');
+			const other = document.createElement('tabbed-interface');
+			other.id = 'help';
+			other.setAttribute('sync-url', 'query');
+
+			const tabs = await connect(element, markup);
+			const otherTabs = await connect(other, markup);
+
+			tabs[1].click();
+			otherTabs[2].click();
+
+			const params = new URLSearchParams(window.location.search);
+			expect(params.get('settings')).toBe('sync-details');
+			expect(params.get('help')).toBe('2');
+
+			other.remove();
+		});
+
+		it('should use sync-url-param and sync-url-replace when present', async () => {
+			element.setAttribute('sync-url', 'query');
+			element.setAttribute('sync-url-param', 'section');
+			element.setAttribute('sync-url-replace', '');
+			const tabs = await connect(element, markup);
+			const pushState = vi.spyOn(history, 'pushState');
+			const replaceState = vi.spyOn(history, 'replaceState');
+
+			tabs[1].click();
+
+			expect(pushState).not.toHaveBeenCalled();
+			expect(replaceState).toHaveBeenCalledTimes(1);
+			expect(
+				new URLSearchParams(window.location.search).get('section'),
+			).toBe('sync-details');
+		});
+
+		it('should restore the tab from the query parameter on init', async () => {
+			history.replaceState(null, '', '?tab=sync-details');
+			element.setAttribute('sync-url', 'query');
+			await connect(element, markup);
+
+			expect(element.activeIndex).toBe(1);
+		});
+
+		it('should follow back and forward navigation through popstate', async () => {
+			element.setAttribute('sync-url', 'query');
+			const tabs = await connect(element, markup);
+			tabs[1].click();
+
+			const pushState = vi.spyOn(history, 'pushState');
+			history.replaceState(null, '', '?tab=sync-intro');
+			window.dispatchEvent(new PopStateEvent('popstate'));
+
+			expect(element.activeIndex).toBe(0);
+			expect(pushState).not.toHaveBeenCalled();
+		});
+
+		it('should return to the default tab on an entry without the parameter', async () => {
+			element.setAttribute('sync-url', 'query');
+			element.setAttribute('default-tab', 'sync-details');
+			const tabs = await connect(element, markup);
+			tabs[2].click();
+			expect(element.activeIndex).toBe(2);
+
+			const pushState = vi.spyOn(history, 'pushState');
+			history.replaceState(null, '', window.location.pathname);
+			window.dispatchEvent(new PopStateEvent('popstate'));
+
+			expect(element.activeIndex).toBe(1);
+			expect(window.location.search).toBe('');
+			expect(pushState).not.toHaveBeenCalled();
+		});
+
+		it('should return to the default tab on an entry without a hash', async () => {
+			element.setAttribute('sync-url', '');
+			const tabs = await connect(element, markup);
+			tabs[1].click();
+			expect(window.location.hash).toBe('#sync-details');
+
+			history.replaceState(null, '', window.location.pathname);
+			window.dispatchEvent(new PopStateEvent('popstate'));
+
+			expect(element.activeIndex).toBe(0);
+			expect(window.location.hash).toBe('');
+		});
+	});
+
+	describe('Persisted tab', () => {
+		const markup = `
+			<h2 id="persist-one">One</h2>
+			<p>Content 1</p>
+			<h2 id="persist-two">Two</h2>
+			<p>Content 2</p>
+			<h2>Three</h2>
+			<p>Content 3</p>
+		`;
+
+		afterEach(() => {
+			localStorage.clear();
+			sessionStorage.clear();
+			history.replaceState(null, '', window.location.pathname);
+		});
+
+		it('should save the active heading ID to localStorage', async () => {
+			element.setAttribute('persist', 'dashboard');
+			const tabs = await connect(element, markup);
+
+			tabs[1].click();
+
+			expect(JSON.parse(localStorage.getItem('dashboard'))).toEqual({
+				id: 'persist-two',
+				index: 1,
+			});
+		});
+
+		it('should use sessionStorage when persist-storage="session"', async () => {
+			element.setAttribute('persist', 'dashboard');
+			element.setAttribute('persist-storage', 'session');
+			const tabs = await connect(element, markup);
+
+			tabs[2].click();
+
+			expect(localStorage.getItem('dashboard')).toBeNull();
+			expect(JSON.parse(sessionStorage.getItem('dashboard'))).toEqual({
+				id: null,
+				index: 2,
+			});
+		});
+
+		it('should restore the saved tab by heading ID, then by index', async () => {
+			localStorage.setItem(
+				'dashboard',
+				JSON.stringify({ id: 'persist-two', index: 0 }),
+			);
+			element.setAttribute('persist', 'dashboard');
+			await connect(element, markup);
+			expect(element.activeIndex).toBe(1);
+
+			element.remove();
+			localStorage.setItem(
+				'dashboard',
+				JSON.stringify({ id: 'missing', index: 2 }),
+			);
+			await connect(element, markup);
+			expect(element.activeIndex).toBe(2);
+		});
+
+		it('should rank the saved tab above default-tab and below the URL hash', async () => {
+			localStorage.setItem(
+				'dashboard',
+				JSON.stringify({ id: 'persist-two', index: 1 }),
+			);
+			element.setAttribute('persist', 'dashboard');
+			element.setAttribute('default-tab', '2');
+			await connect(element, markup);
+			expect(element.activeIndex).toBe(1);
+
+			element.remove();
+			history.replaceState(null, '', '#persist-one');
+			await connect(element, markup);
+			expect(element.activeIndex).toBe(0);
+		});
+
+		it('should read and write through a custom storage adapter', async () => {
+			const store = new Map([
+				['dashboard', JSON.stringify({ id: 'persist-two', index: 1 })],
+			]);
+			element.storageAdapter = {
+				getItem: (key) => store.get(key) ?? null,
+				setItem: (key, value) => store.set(key, value),
+			};
+			element.setAttribute('persist', 'dashboard');
+			const tabs = await connect(element, markup);
+
+			expect(element.activeIndex).toBe(1);
+
+			tabs[0].click();
+			expect(JSON.parse(store.get('dashboard')).id).toBe('persist-one');
+			expect(localStorage.getItem('dashboard')).toBeNull();
+		});
+	});
+
+	describe('Custom tab titles', () => {
+		it('should use data-tab-short-name when provided', async () => {
+			element.innerHTML = `
+				<h2 data-tab-short-name="Short Title">Very Long Heading Title</h2>
+				<p>Content</p>
+			`;
+			await connect(element);
+
+			const tab = element.shadowRoot.querySelector('[role="tab"]');
+			expect(tab.textContent).toBe('Short Title');
+		});
+
+		it('should not hide header when using custom tab title', async () => {
+			element.innerHTML = `
+				<h2 data-tab-short-name="Short">Long Title</h2>
+				<p>Content</p>
+			`;
+			await connect(element);
+
+			const panel = element.shadowRoot.querySelector('[role="tabpanel"]');
+			const heading = panel.querySelector('h2');
+			expect(heading.classList.contains('visually-hidden')).toBe(false);
+		});
+	});
+
+	describe('Rich tab labels', () => {
+		it('should render a decorative icon from text or a template', async () => {
+			document.body.insertAdjacentHTML(
+				'beforeend',
+				'<template id="icon-star"><svg></svg></template>',
+			);
+			element.innerHTML = `
+				<h2 data-tab-icon="📄">Files</h2>
+				<p>Content</p>
+				<h2 data-tab-icon="icon-star">Starred</h2>
+				<p>Content</p>
+			`;
+			const tabs = await connect(element);
+
+			const textIcon = tabs[0].querySelector('[part="tab-icon"]');
+			expect(textIcon.textContent).toBe('📄');
+			expect(textIcon.getAttribute('aria-hidden')).toBe('true');
+			expect(tabs[0].firstChild).toBe(textIcon);
+			expect(
+				tabs[1].querySelector('[part="tab-icon"] svg'),
+			).not.toBeNull();
+			document.getElementById('icon-star').remove();
+		});
+
+		it('should stamp an icon template from the surrounding shadow root', async () => {
+			const host = document.createElement('div');
+			const shadowRoot = host.attachShadow({ mode: 'open' });
+			shadowRoot.innerHTML = '<template id="ico"><svg></svg></template>';
+			element.innerHTML = `
+				<h2 data-tab-icon="ico">Starred</h2>
+				<p>Content</p>
+			`;
+			shadowRoot.appendChild(element);
+			document.body.appendChild(host);
+			await element.ready;
+
+			const icon = getTabs(element)[0].querySelector('[part="tab-icon"]');
+			expect(icon.querySelector('svg')).not.toBeNull();
+			expect(icon.textContent).toBe('');
+			host.remove();
+		});
+
+		it('should include the badge in the accessible name', async () => {
+			element.innerHTML = `
+				<h2 data-tab-badge="3" data-tab-badge-label="3 unread">Inbox</h2>
+				<p>Content</p>
+				<h2 data-tab-short-name="Out" data-tab-badge="1">Outbox</h2>
+				<p>Content</p>
+			`;
+			const tabs = await connect(element);
+
+			const badge = tabs[0].querySelector('[part="tab-badge"]');
+			expect(badge.textContent).toBe('3');
+			expect(badge.getAttribute('aria-hidden')).toBe('true');
+			expect(tabs[0].querySelector('.visually-hidden').textContent).toBe(
+				' (3 unread)',
+			);
+			expect(tabs[1].getAttribute('aria-label')).toBe('Outbox (1)');
+		});
+
+		it('should describe the tab with data-tab-description', async () => {
+			element.innerHTML = `
+				<h2 data-tab-description="Last edited today">Notes</h2>
+				<p>Content</p>
+			`;
+			const tabs = await connect(element);
+
+			const description = tabs[0].querySelector(
+				'[part="tab-description"]',
+			);
+			expect(description.textContent).toBe('Last edited today');
+			expect(tabs[0].getAttribute('aria-describedby')).toBe(
+				description.id,
+			);
+		});
+
+		it('should update badges at runtime with setBadge()', async () => {
+			element.setAttribute('closable', '');
+			element.innerHTML = `
+				<h2 id="inbox">Inbox</h2>
+				<p>Content</p>
+			`;
+			const tabs = await connect(element);
+
+			element.setBadge(0, 5, '5 unread');
+			expect(
+				tabs[0].querySelector('[part="tab-badge"]').textContent,
+			).toBe('5');
+			expect(
+				element.querySelector('#inbox').getAttribute('data-tab-badge'),
+			).toBe('5');
+			expect(tabs[0].querySelector('[part="tab-close"]')).not.toBeNull();
+
+			element.setBadge(0, null);
+			expect(tabs[0].querySelector('[part="tab-badge"]')).toBeNull();
+			expect(tabs[0].querySelector('.visually-hidden')).toBeNull();
+		});
+	});
+
+	describe('Theming', () => {
+		const markup = `
+			<h2>First</h2>
+			<p>Content 1</p>
+			<h2>Second</h2>
+			<p>Content 2</p>
+		`;
+
+		it('should reflect the variant and fall back to classic', async () => {
+			await connect(element, markup);
+			const container = element.shadowRoot.querySelector('#container');
+			expect(element.variant).toBe('classic');
+			expect(container.dataset.variant).toBe('classic');
+
+			element.variant = 'pills';
+			expect(element.getAttribute('variant')).toBe('pills');
+			expect(container.dataset.variant).toBe('pills');
+
+			element.variant = 'sparkly';
+			expect(element.variant).toBe('classic');
+			expect(container.dataset.variant).toBe('classic');
+
+			element.variant = null;
+			expect(element.hasAttribute('variant')).toBe(false);
+		});
+
+		it('should share one adopted stylesheet between instances', async () => {
+			const other = document.createElement('tabbed-interface');
+			await connect(element, markup);
+			await connect(other, markup);
+
+			expect(element.shadowRoot.querySelector('style')).toBeNull();
+			expect(element.shadowRoot.adoptedStyleSheets).toHaveLength(1);
+			expect(other.shadowRoot.adoptedStyleSheets[0]).toBe(
+				element.shadowRoot.adoptedStyleSheets[0],
+			);
+			other.remove();
+		});
+
+		it('should keep stylesheets the page adopts when reconnected', async () => {
+			await connect(element, markup);
+			const extra = new CSSStyleSheet();
+			extra.replaceSync('[role="tab"] { font-weight: bold; }');
+			element.shadowRoot.adoptedStyleSheets = [
+				...element.shadowRoot.adoptedStyleSheets,
+				extra,
+			];
+
+			element.remove();
+			document.body.appendChild(element);
+
+			expect(element.shadowRoot.adoptedStyleSheets).toHaveLength(2);
+			expect(element.shadowRoot.adoptedStyleSheets[1]).toBe(extra);
+		});
+
+		it('should read every documented custom property', () => {
+			// The server-rendered markup carries the stylesheet's source
+			const css = TabbedInterfaceElement.renderToString(
+				'<h2>First</h2><p>Content</p>',
+			);
+
+			[
+				'font-family',
+				'tablist-display',
+				'tablist-gap',
+				'tablist-padding',
+				'tablist-margin',
+				'tablist-background',
+				'tablist-border',
+				'tab-padding',
+				'tab-background',
+				'tab-color',
+				'tab-border',
+				'tab-border-radius',
+				'tab-indicator-color',
+				'tab-active-background',
+				'tab-active-color',
+				'tab-hover-background',
+				'tab-hover-color',
+				'tab-focus-outline',
+				'tabpanel-padding',
+				'tabpanel-background',
+				'tabpanel-border',
+			].forEach((name) => {
+				expect(css).toContain(`var(--tabbed-interface-${name},`);
+			});
+		});
+
+		it('should inline the styles in server-rendered markup', () => {
+			const markup = TabbedInterfaceElement.renderToString(
+				'<h2>First</h2><p>Content</p>',
+				{ attributes: { variant: 'underline' } },
+			);
+
+			expect(markup).toContain('<style>');
+			expect(markup).toContain('[data-variant="underline"]');
+			expect(markup).toContain('data-variant="underline"');
+		});
+	});
+
+	describe('Find in page and search', () => {
+		const markup = `
+			<h2>Shipping</h2>
+			<p>Orders ship within two days.</p>
+			<h2>Returns</h2>
+			<p>Return any order within 30 days.</p>
+			<h2 data-tab-disabled>Archive</h2>
+			<p>Old shipping rates.</p>
+		`;
+
+		afterEach(() => {
+			delete HTMLElement.prototype.onbeforematch;
+			vi.unstubAllGlobals();
+		});
+
+		it('should place searchable hidden panels in the side layout', async () => {
+			await connect(element, markup);
+			const [styleSheet] = element.shadowRoot.adoptedStyleSheets;
+			const placement = Array.from(styleSheet.cssRules)
+				.filter((rule) =>
+					rule.selectorText
+						?.replace(/\s+/g, ' ')
+						.includes(
+							'#container:not(.accordion) > [role="tabpanel"]',
+						),
+				)
+				.map((rule) => rule.style.getPropertyValue('grid-column'));
+			// Every panel shares one cell instead of being auto-placed
+			expect(placement).toEqual(['2', '1']);
+		});
+
+		it('should hide panels until found where the browser supports it', async () => {
+			HTMLElement.prototype.onbeforematch = null;
+			await connect(element, markup);
+			const panels = getPanels(element);
+
+			expect(panels[0].hasAttribute('hidden')).toBe(false);
+			expect(panels[1].getAttribute('hidden')).toBe('until-found');
+			// Disabled panels can't be revealed by find-in-page
+			expect(panels[2].getAttribute('hidden')).toBe('');
+		});
+
+		it('should activate the tab when find-in-page reveals its panel', async () => {
+			HTMLElement.prototype.onbeforematch = null;
+			const tabs = await connect(element, markup);
+			const panels = getPanels(element);
+			const changeHandler = vi.fn();
+			element.addEventListener('tabbed-interface:change', changeHandler);
+
+			panels[1].dispatchEvent(
+				new Event('beforematch', { bubbles: true }),
+			);
+
+			expect(element.activeIndex).toBe(1);
+			expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+			expect(changeHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should hide the panel again when the switch is canceled', async () => {
+			HTMLElement.prototype.onbeforematch = null;
+			await connect(element, markup);
+			const panels = getPanels(element);
+			element.addEventListener('tabbed-interface:beforechange', (e) =>
+				e.preventDefault(),
+			);
+
+			panels[1].dispatchEvent(
+				new Event('beforematch', { bubbles: true }),
+			);
+			// The browser reveals the match after the event
+			panels[1].removeAttribute('hidden');
+			await settle();
+
+			expect(element.activeIndex).toBe(0);
+			expect(panels[1].getAttribute('hidden')).toBe('until-found');
+		});
+
+		it('should return the tabs whose label or panel text matches', async () => {
+			await connect(element, markup);
+
+			expect(element.search('SHIP')).toEqual([0, 2]);
+			expect(element.search('returns')).toEqual([1]);
+			expect(element.search('within')).toEqual([0, 1]);
+			expect(element.search('refund')).toEqual([]);
+			expect(element.search('  ')).toEqual([]);
+		});
+
+		it('should mark matching tabs and highlight the matching text', async () => {
+			const highlights = new Map();
+			vi.stubGlobal('Highlight', Set);
+			vi.stubGlobal('CSS', { highlights });
+			const tabs = await connect(element, markup);
+
+			element.search('within', { highlight: true });
+
+			expect(tabs[0].getAttribute('part')).toBe('tab selected match');
+			expect(tabs[1].getAttribute('part')).toBe('tab match');
+			expect(tabs[2].getAttribute('part')).toBe('tab');
+			const ranges = Array.from(
+				highlights.get('tabbed-interface-search'),
+			);
+			expect(ranges.map((range) => range.toString())).toEqual([
+				'within',
+				'within',
+			]);
+
+			element.search('');
+			expect(tabs[0].getAttribute('part')).toBe('tab selected');
+			expect(highlights.get('tabbed-interface-search').size).toBe(0);
+		});
+
+		it('should search live content through its slots', async () => {
+			element.setAttribute('live-content', '');
+			await connect(element, markup);
+
+			expect(element.search('30 days')).toEqual([1]);
+		});
+	});
+
+	describe('Expanded view', () => {
+		beforeEach(() => {
+			element.innerHTML = `
+				<h2>First</h2>
+				<p>Content 1</p>
+				<h2>Second</h2>
+				<p>Content 2</p>
+				<h2>Third</h2>
+				<p>Content 3</p>
+			`;
+		});
+
+		it('should reflect the expanded property to the attribute', () => {
+			element.expanded = true;
+			expect(element.hasAttribute('expanded')).toBe(true);
+			element.expanded = false;
+			expect(element.hasAttribute('expanded')).toBe(false);
+		});
+
+		it('should show every section with its heading after expandAll()', async () => {
+			await connect(element);
+			const panels = getPanels(element);
+			element.activeIndex = 1;
+
+			element.expandAll();
+
+			expect(element.expanded).toBe(true);
+			panels.forEach((panel) => {
+				expect(panel.hasAttribute('hidden')).toBe(false);
+				expect(panel.getAttribute('role')).toBe('region');
+				expect(
+					panel.firstElementChild.classList.contains(
+						'visually-hidden',
+					),
+				).toBe(false);
+			});
+		});
+
+		it('should return to tabs with the same active tab after collapse()', async () => {
+			const tabs = await connect(element);
+			const panels = getPanels(element);
+			element.activeIndex = 2;
+			element.expandAll();
+
+			element.collapse();
+
+			expect(element.activeIndex).toBe(2);
+			expect(tabs[2].getAttribute('aria-selected')).toBe('true');
+			expect(panels[0].hasAttribute('hidden')).toBe(true);
+			expect(panels[2].hasAttribute('hidden')).toBe(false);
+			expect(panels[2].getAttribute('role')).toBe('tabpanel');
+			expect(
+				panels[0].firstElementChild.classList.contains(
+					'visually-hidden',
+				),
+			).toBe(true);
+		});
+
+		it('should load lazy panels when rendered expanded', async () => {
+			const template = document.createElement('template');
+			template.id = 'expanded-template';
+			template.innerHTML = '<p class="stamped">Stamped</p>';
+			document.body.appendChild(template);
+			element.setAttribute('expanded', '');
+			element.insertAdjacentHTML(
+				'beforeend',
+				'<h2 data-tab-template="expanded-template">Lazy</h2>',
+			);
+
+			await connect(element);
+			const panels = element.shadowRoot.querySelectorAll(
+				'#container > [aria-labelledby]',
+			);
+
+			expect(panels[3].querySelector('.stamped')).not.toBeNull();
+			template.remove();
+		});
+
+		it('should lay out every panel when printed', async () => {
+			await connect(element);
+			const [styleSheet] = element.shadowRoot.adoptedStyleSheets;
+			const css = Array.from(
+				styleSheet.cssRules,
+				(rule) => rule.cssText,
+			).join('\n');
+			expect(css).toContain('@media print');
+		});
+	});
+
+	describe('Initialization', () => {
+		beforeEach(() => {
+			element.innerHTML = `
+				<h2>First</h2>
+				<p>Content 1</p>
+				<h2>Second</h2>
+				<p>Content 2</p>
+				<h2>Third</h2>
+				<p>Content 3</p>
+			`;
+		});
+
+		it('should resolve ready and fire a ready event once the tabs are built', async () => {
+			const readyHandler = vi.fn();
+			element.addEventListener('tabbed-interface:ready', readyHandler);
+			document.body.appendChild(element);
+			expect(element.shadowRoot.querySelector('[role="tab"]')).toBeNull();
+
+			await element.ready;
+
+			expect(
+				element.shadowRoot.querySelectorAll('[role="tab"]'),
+			).toHaveLength(3);
+			expect(readyHandler).toHaveBeenCalledTimes(1);
+			expect(readyHandler.mock.calls[0][0].detail).toEqual({
+				tabIndex: 0,
+				tabCount: 3,
+			});
+		});
+
+		it('should apply an activeIndex set before initialization', async () => {
+			const changeHandler = vi.fn();
+			element.addEventListener('tabbed-interface:change', changeHandler);
+			document.body.appendChild(element);
+			element.activeIndex = 2;
+
+			await element.ready;
+
+			expect(element.activeIndex).toBe(2);
+			const panels =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]');
+			expect(panels[2].hasAttribute('hidden')).toBe(false);
+			expect(changeHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should build the tabs synchronously with initialize()', async () => {
+			document.body.appendChild(element);
+			element.initialize();
+
+			const tab = element.shadowRoot.querySelector('[role="tab"]');
+			expect(tab).not.toBeNull();
+			element.activeIndex = 1;
+			expect(element.activeIndex).toBe(1);
+
+			await settle();
+			expect(element.shadowRoot.querySelector('[role="tab"]')).toBe(tab);
+			expect(element.activeIndex).toBe(1);
+		});
+
+		it('should renew the ready promise when reconnected', async () => {
+			document.body.appendChild(element);
+			const firstReady = element.ready;
+			await firstReady;
+
+			element.remove();
+			expect(element.ready).not.toBe(firstReady);
+
+			document.body.appendChild(element);
+			await element.ready;
+			expect(
+				element.shadowRoot.querySelectorAll('[role="tab"]'),
+			).toHaveLength(3);
+		});
+	});
+
+	describe('Server-side rendering', () => {
+		const content = `
+			<h2 id="intro">Intro</h2>
+			<p>Intro content</p>
+			<h2 id="details">Details</h2>
+			<p>Details content</p>
+		`;
+
+		// happy-dom doesn't parse declarative shadow roots, so move the
+		// template into the shadow root the way the HTML parser would
+		const parse = (markup) => {
+			const template = document.createElement('template');
+			template.innerHTML = markup;
+			const host = template.content.firstElementChild;
+			const shadowTemplate = host.querySelector(
+				':scope > template[shadowrootmode]',
+			);
+			shadowTemplate.remove();
+			host.shadowRoot.replaceChildren(shadowTemplate.content);
+			return host;
+		};
+
+		it('should render tabs into a declarative shadow root', () => {
+			const markup = TabbedInterfaceElement.renderToString(content, {
+				attributes: { id: 'docs', 'default-tab': 'details' },
+			});
+
+			expect(markup.startsWith('<tabbed-interface id="docs"')).toBe(true);
+			expect(markup).toContain('<template shadowrootmode="open">');
+			expect(document.getElementById('docs')).toBeNull();
+
+			const host = parse(markup);
+			const tabs = host.shadowRoot.querySelectorAll('[role="tab"]');
+			const panels =
+				host.shadowRoot.querySelectorAll('[role="tabpanel"]');
+			expect(tabs).toHaveLength(2);
+			expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+			expect(panels[0].hasAttribute('hidden')).toBe(true);
+			expect(panels[1].hasAttribute('hidden')).toBe(false);
+			expect(host.querySelector('#intro')).not.toBeNull();
+		});
+
+		it('should hydrate synchronously without rebuilding the tabs', () => {
+			element = parse(
+				TabbedInterfaceElement.renderToString(content, {
+					attributes: { id: 'docs' },
+				}),
+			);
+			const serverTabs = Array.from(
+				element.shadowRoot.querySelectorAll('[role="tab"]'),
+			);
+			const serverPanels = Array.from(
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]'),
+			);
+
+			document.body.appendChild(element);
+
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			expect(Array.from(tabs)).toEqual(serverTabs);
+			expect(
+				Array.from(
+					element.shadowRoot.querySelectorAll('[role="tabpanel"]'),
+				),
+			).toEqual(serverPanels);
+			expect(
+				element.shadowRoot.querySelector('#container[data-hydrate]'),
+			).toBeNull();
+			expect(element.activeIndex).toBe(0);
+
+			const changeHandler = vi.fn();
+			element.addEventListener('tabbed-interface:change', changeHandler);
+			tabs[1].click();
+			expect(element.activeIndex).toBe(1);
+			expect(serverPanels[1].hasAttribute('hidden')).toBe(false);
+			expect(changeHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should hydrate live content without moving the light DOM', () => {
+			element = parse(
+				TabbedInterfaceElement.renderToString(content, {
+					attributes: { id: 'docs', 'live-content': true },
+				}),
+			);
+			const paragraph = element.querySelector('p');
+			expect(paragraph.getAttribute('slot')).toBe('panel-0');
+
+			document.body.appendChild(element);
+
+			expect(element.querySelector('p')).toBe(paragraph);
+			expect(paragraph.getAttribute('slot')).toBe('panel-0');
+			expect(
+				element.shadowRoot.querySelector('slot[name="panel-0"]'),
+			).not.toBeNull();
+		});
+
+		it('should rebuild when the markup no longer matches the content', () => {
+			element = parse(
+				TabbedInterfaceElement.renderToString(content, {
+					attributes: { id: 'docs' },
+				}),
+			);
+			const serverTab = element.shadowRoot.querySelector('[role="tab"]');
+			element.insertAdjacentHTML(
+				'beforeend',
+				'<h2 id="extra">Extra</h2><p>Extra content</p>',
+			);
+
+			document.body.appendChild(element);
+
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			expect(tabs).toHaveLength(3);
+			expect(tabs[0]).not.toBe(serverTab);
+			expect(tabs[2].textContent).toBe('Extra');
+		});
+
+		it('should render under another tag name once it is defined', () => {
+			expect(() =>
+				TabbedInterfaceElement.renderToString(content, {
+					tagName: 'docs-tabs',
+				}),
+			).toThrow('<docs-tabs> is not defined');
+			expect(customElements.get('docs-tabs')).toBeUndefined();
+
+			customElements.define(
+				'docs-tabs',
+				class extends TabbedInterfaceElement {},
+			);
+			const markup = TabbedInterfaceElement.renderToString(content, {
+				tagName: 'docs-tabs',
+			});
+
+			expect(markup.startsWith('<docs-tabs')).toBe(true);
+		});
+
+		it('should not fire events on the page while rendering', () => {
+			const handler = vi.fn();
+			document.addEventListener('tabbed-interface:change', handler);
+			document.addEventListener('tabbed-interface:leave', handler);
+
+			TabbedInterfaceElement.renderToString(content);
+
+			document.removeEventListener('tabbed-interface:change', handler);
+			document.removeEventListener('tabbed-interface:leave', handler);
+			expect(handler).not.toHaveBeenCalled();
+		});
+
+		it('should generate the same ID on every render and keep the default URL key', () => {
+			const markup = TabbedInterfaceElement.renderToString(content, {
+				attributes: { 'sync-url': 'query' },
+			});
+			expect(
+				TabbedInterfaceElement.renderToString(content, {
+					attributes: { 'sync-url': 'query' },
+				}),
+			).toBe(markup);
+
+			element = parse(markup);
+			expect(element.id).toMatch(/^tabbed-interface-/);
+			expect(element.hasAttribute('data-generated-id')).toBe(true);
+			document.body.appendChild(element);
+			element.shadowRoot.querySelectorAll('[role="tab"]')[1].click();
+
+			expect(new URLSearchParams(window.location.search).get('tab')).toBe(
+				'details',
+			);
+			history.replaceState(null, '', window.location.pathname);
+		});
+
+		it('should leave lazy panels for the client to load', () => {
+			const fetchStub = vi.fn();
+			vi.stubGlobal('fetch', fetchStub);
+
+			const markup = TabbedInterfaceElement.renderToString(
+				'<h2 data-tab-src="/fragments/report.html">Report</h2>',
+			);
+
+			expect(fetchStub).not.toHaveBeenCalled();
+			expect(markup).not.toContain('aria-busy');
+			vi.unstubAllGlobals();
+		});
+	});
+
+	describe('Multiple heading levels', () => {
+		it('should work with h3 headings', async () => {
+			element.innerHTML = `
+				<h3>Tab 1</h3>
+				<p>Content 1</p>
+				<h3>Tab 2</h3>
+				<p>Content 2</p>
+			`;
+			await connect(element);
+
+			const tabs = element.shadowRoot.querySelectorAll('[role="tab"]');
+			expect(tabs.length).toBe(2);
+		});
+
+		it('should use the first heading level found', async () => {
+			element.innerHTML = `
+				<h4>Tab 1</h4>
+				<p>Content 1</p>
+				<h4>Tab 2</h4>
+				<p>Content 2</p>
+			`;
+			await connect(element);
+
+			const panels =
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]');
+			expect(panels[0].querySelector('h4')).toBeTruthy();
+		});
+	});
+
+	describe('Forms', () => {
+		let form;
+
+		beforeEach(async () => {
+			form = document.createElement('form');
+			element.innerHTML = `
+				<h2 id="account">Account</h2>
+				<p><input name="email" type="email" required /></p>
+				<h2 id="address">Address</h2>
+				<div>
+					<input name="street" required />
+					<input name="city" required />
+				</div>
+				<h2 id="notes">Notes</h2>
+				<p>No fields here</p>
+			`;
+			form.appendChild(element);
+			document.body.appendChild(form);
+			await element.ready;
+		});
+
+		afterEach(() => {
+			form.remove();
+		});
+
+		it('should keep form controls in the outer form', () => {
+			const street = form.querySelector('[name="street"]');
+			expect(form.elements.namedItem('street')).toBe(street);
+			expect(street.closest('[slot]').slot).toMatch(/^panel-\d+-\d+$/);
+			expect(element.shadowRoot.querySelector('input')).toBeNull();
+			// Content without controls is still cloned
+			expect(
+				element.shadowRoot.querySelectorAll('[role="tabpanel"]')[2]
+					.textContent,
+			).toContain('No fields here');
+		});
+
+		it('should switch to the tab of the first invalid control', () => {
+			form.querySelector('[name="email"]').value = 'me@example.com';
+			element.activeIndex = 2;
+
+			expect(form.reportValidity()).toBe(false);
+			expect(element.activeIndex).toBe(1);
+		});
+
+		it('should keep the tab when its switch is canceled', () => {
+			element.activeIndex = 2;
+			element.addEventListener('tabbed-interface:beforechange', (event) =>
+				event.preventDefault(),
+			);
+			form.reportValidity();
+			expect(element.activeIndex).toBe(2);
+		});
+
+		it('should mark tabs with invalid controls once validated', () => {
+			expect(element.shadowRoot.querySelector('.tab-error')).toBeNull();
+
+			form.reportValidity();
+			const indicator = getTabs(element)[1].querySelector('.tab-error');
+			expect(indicator.getAttribute('part')).toBe('tab-error');
+			expect(getTabs(element)[1].getAttribute('part')).toContain(
+				'invalid',
+			);
+			expect(getTabs(element)[1].getAttribute('aria-describedby')).toBe(
+				indicator.id,
+			);
+			expect(indicator.textContent).toBe('2 fields need attention');
+			expect(getTabs(element)[2].querySelector('.tab-error')).toBeNull();
+
+			const street = form.querySelector('[name="street"]');
+			street.value = 'Main Street';
+			street.dispatchEvent(new Event('input', { bubbles: true }));
+			expect(indicator.textContent).toBe('1 field needs attention');
+
+			const city = form.querySelector('[name="city"]');
+			city.value = 'Springfield';
+			city.dispatchEvent(new Event('input', { bubbles: true }));
+			expect(getTabs(element)[1].querySelector('.tab-error')).toBeNull();
+			expect(getTabs(element)[1].hasAttribute('aria-describedby')).toBe(
+				false,
+			);
+			expect(getTabs(element)[1].getAttribute('part')).not.toContain(
+				'invalid',
+			);
+		});
+
+		it('should summarize validity per tab', () => {
+			form.querySelector('[name="city"]').value = 'Springfield';
+			const validity = element.getValidity();
+
+			expect(validity.map(({ headingId }) => headingId)).toEqual([
+				'account',
+				'address',
+				'notes',
+			]);
+			expect(validity.map(({ tabId }) => tabId)).toEqual(
+				getTabs(element).map((tab) => tab.id),
+			);
+			expect(validity.map(({ valid }) => valid)).toEqual([
+				false,
+				false,
+				true,
+			]);
+			expect(validity[1].invalidControls).toEqual([
+				form.querySelector('[name="street"]'),
+			]);
+			expect(validity[0].tabIndex).toBe(0);
+		});
+	});
+
+	describe('Analytics', () => {
+		let now;
+		let changes;
+		let leaves;
+
+		beforeEach(async () => {
+			now = 1000;
+			vi.spyOn(performance, 'now').mockImplementation(() => now);
+			changes = [];
+			leaves = [];
+			element.addEventListener('tabbed-interface:change', (event) =>
+				changes.push(event.detail),
+			);
+			element.addEventListener('tabbed-interface:leave', (event) =>
+				leaves.push(event.detail),
+			);
+			element.innerHTML = `
+				<h2 id="intro">Intro</h2>
+				<p>Content 1</p>
+				<h2 id="pricing" data-tab-short-name="Prices">Pricing plans</h2>
+				<p>Content 2</p>
+				<h2 id="faq">FAQ</h2>
+				<p>Content 3</p>
+			`;
+			await connect(element);
+		});
+
+		afterEach(() => {
+			vi.restoreAllMocks();
+			history.replaceState(null, '', window.location.pathname);
+		});
+
+		it('should report the default tab without a previous tab', () => {
+			expect(changes).toHaveLength(1);
+			expect(changes[0]).toMatchObject({
+				tabIndex: 0,
+				headingId: 'intro',
+				label: 'Intro',
+				previousIndex: -1,
+				previousTabId: null,
+				previousHeadingId: null,
+				previousLabel: null,
+				trigger: 'default',
+			});
+			expect(leaves).toHaveLength(0);
+		});
+
+		it('should describe the new and previous tabs', () => {
+			getTabs(element)[1].click();
+
+			expect(changes[1]).toEqual({
+				tabId: getTabs(element)[1].id,
+				tabpanelId: getTabs(element)[1].getAttribute('aria-controls'),
+				tabIndex: 1,
+				headingId: 'pricing',
+				label: 'Prices',
+				previousIndex: 0,
+				previousTabId: getTabs(element)[0].id,
+				previousHeadingId: 'intro',
+				previousLabel: 'Intro',
+				trigger: 'click',
+			});
+		});
+
+		it('should report what triggered each switch', () => {
+			getTabs(element)[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'ArrowRight' }),
+			);
+			getTabs(element)[1].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Enter' }),
+			);
+			element.activeIndex = 2;
+			window.location.hash = '#intro';
+			window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+			expect(changes.map(({ trigger }) => trigger)).toEqual([
+				'default',
+				'keyboard',
+				'api',
+				'hash',
+			]);
+		});
+
+		it('should report how long the previous panel was visible', () => {
+			now = 4500;
+			element.activeIndex = 1;
+
+			expect(leaves).toEqual([
+				{
+					tabId: getTabs(element)[0].id,
+					headingId: 'intro',
+					label: 'Intro',
+					tabIndex: 0,
+					duration: 3500,
+					trigger: 'api',
+				},
+			]);
+		});
+
+		it('should report when the page is hidden and only count visible time', () => {
+			let hidden = false;
+			vi.spyOn(document, 'hidden', 'get').mockImplementation(
+				() => hidden,
+			);
+
+			now = 2000;
+			hidden = true;
+			document.dispatchEvent(new Event('visibilitychange'));
+			now = 62000;
+			hidden = false;
+			document.dispatchEvent(new Event('visibilitychange'));
+			now = 63500;
+			getTabs(element)[2].click();
+
+			expect(
+				leaves.map(({ headingId, duration, trigger }) => ({
+					headingId,
+					duration,
+					trigger,
+				})),
+			).toEqual([
+				{ headingId: 'intro', duration: 1000, trigger: 'hidden' },
+				{ headingId: 'intro', duration: 1500, trigger: 'click' },
+			]);
+		});
+
+		it('should not report a hidden visit again when switching tabs', async () => {
+			vi.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+			now = 2000;
+			document.dispatchEvent(new Event('visibilitychange'));
+
+			element.activeIndex = 1;
+			element.removeTab('pricing');
+			// Removing the active section from the light DOM
+			const active = element.querySelector(
+				`#${changes.at(-1).headingId}`,
+			);
+			active.nextElementSibling.remove();
+			active.remove();
+			await settle();
+			element.remove();
+
+			expect(element.activeIndex).not.toBe(1);
+			expect(leaves).toHaveLength(1);
+			expect(leaves[0]).toMatchObject({
+				headingId: 'intro',
+				trigger: 'hidden',
+			});
+		});
+
+		it('should report once on pagehide', () => {
+			now = 3000;
+			window.dispatchEvent(new Event('pagehide'));
+			window.dispatchEvent(new Event('pagehide'));
+			element.remove();
+
+			expect(leaves).toHaveLength(1);
+			expect(leaves[0]).toMatchObject({
+				headingId: 'intro',
+				duration: 2000,
+				trigger: 'hidden',
+			});
+		});
+
+		it('should report how a closed tab was closed', () => {
+			element.closable = true;
+			getTabs(element)[0].dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Delete' }),
+			);
+			getTabs(element)[0].querySelector('.tab-close').click();
+
+			expect(leaves.map(({ trigger }) => trigger)).toEqual([
+				'keyboard',
+				'click',
+			]);
+			expect(changes.at(-1).trigger).toBe('click');
+		});
+
+		it('should report the active tab when removed or disconnected', () => {
+			now = 1500;
+			element.removeTab(0);
+			expect(leaves[0]).toMatchObject({
+				headingId: 'intro',
+				duration: 500,
+			});
+			expect(changes.at(-1)).toMatchObject({
+				headingId: 'pricing',
+				previousIndex: -1,
+			});
+
+			now = 2500;
+			element.remove();
+			expect(leaves[1]).toMatchObject({
+				headingId: 'pricing',
+				duration: 1000,
+				trigger: null,
+			});
 		});
 	});
 });